@@ -0,0 +1,199 @@
+/**
+ * AirNavX Bridge - Applicability
+ * Checks search results and parsed modules against the aircraft the user is
+ * working on: type, customization, MSN and embodied modifications.
+ *
+ * Every check answers applies: true, false or null. Null means the content
+ * carries nothing the aircraft context can be compared with (or no context
+ * is set), so the caller cannot tell; it never means "does not apply".
+ */
+
+const AIRCRAFT_CONTEXT_KEY = 'aircraft_context';
+const APPLICABILITY_MODES = ['annotate', 'filter', 'off'];
+
+// S1000D applicPropertyIdent values (lower case) and the context field they test
+const APPLICABILITY_PROPERTIES = {
+  type: 'aircraftType',
+  actype: 'aircraftType',
+  aircrafttype: 'aircraftType',
+  model: 'aircraftType',
+  customization: 'customization',
+  customisation: 'customization',
+  cust: 'customization',
+  msn: 'msn',
+  serialno: 'msn',
+  serialnumber: 'msn',
+  mod: 'mods',
+  mods: 'mods',
+  modification: 'mods',
+  postmod: 'mods',
+  sb: 'mods'
+};
+
+// Search result fields that carry the same information
+const RESULT_APPLICABILITY_FIELDS = {
+  aircraftType: ['actype', 'aircraftType', 'acType'],
+  customization: ['customization'],
+  msn: ['msn'],
+  mods: ['mods', 'modifications']
+};
+
+/**
+ * Clean up a context from the page or popup: trimmed strings, upper-case
+ * codes, mods as a list. Returns null when nothing is set.
+ */
+function normalizeAircraftContext(input) {
+  if (input === null || input === undefined) {
+    return null;
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Aircraft context must be an object');
+  }
+
+  const text = (value) => {
+    const trimmed = value === undefined || value === null ? '' : String(value).trim().toUpperCase();
+    return trimmed || null;
+  };
+  const list = (value) => [].concat(typeof value === 'string' ? value.split(',') : value ?? [])
+    .map(text)
+    .filter(Boolean);
+
+  const context = {
+    aircraftType: text(input.aircraftType),
+    customization: text(input.customization),
+    msn: text(input.msn),
+    mods: [...new Set(list(input.mods))]
+  };
+
+  if (context.msn && !/^\d+$/.test(context.msn)) {
+    throw new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'MSN must be a number', { details: { msn: input.msn } });
+  }
+
+  const empty = !context.aircraftType && !context.customization && !context.msn && !context.mods.length;
+  return empty ? null : context;
+}
+
+/**
+ * Does one context value match an S1000D value list such as 'A318|A319'
+ * or '0001~0500|0612'? Ranges are compared numerically.
+ */
+function matchesApplicValues(contextValue, values) {
+  return String(values).split('|').map((value) => value.trim().toUpperCase()).some((value) => {
+    const [from, to] = value.split('~');
+    if (to === undefined) {
+      return value === contextValue || (/^\d+$/.test(value) && Number(value) === Number(contextValue));
+    }
+    const number = Number(contextValue);
+    return !Number.isNaN(number) && number >= Number(from) && number <= Number(to);
+  });
+}
+
+/**
+ * Check a parsed module's applicability against the context.
+ *
+ * Assertions on the same property are alternatives; different properties
+ * must all hold. Parsed applicability has lost the S1000D and/or grouping,
+ * so this is the common reading rather than a full evaluation.
+ */
+function evaluateApplicability(applicability, context) {
+  if (!context) {
+    return { applies: null, evaluated: false, reason: 'No aircraft context set' };
+  }
+
+  const assertions = applicability?.assertions || [];
+  const byField = new Map();
+  const unknown = [];
+
+  for (const assertion of assertions) {
+    const field = APPLICABILITY_PROPERTIES[String(assertion.property || '').toLowerCase()];
+    if (!field || assertion.values === null) {
+      unknown.push(assertion.property);
+      continue;
+    }
+    if (!byField.has(field)) {
+      byField.set(field, []);
+    }
+    byField.get(field).push(assertion.values);
+  }
+
+  const checked = [];
+  const failed = [];
+
+  for (const [field, valueLists] of byField) {
+    const contextValues = field === 'mods' ? context.mods : [context[field]].filter(Boolean);
+    if (!contextValues.length) {
+      unknown.push(field);
+      continue;
+    }
+
+    checked.push(field);
+    const holds = valueLists.some((values) => contextValues.some((value) => matchesApplicValues(value, values)));
+    if (!holds) {
+      failed.push(field);
+    }
+  }
+
+  if (!checked.length) {
+    return {
+      applies: null,
+      evaluated: false,
+      reason: assertions.length
+        ? 'Applicability does not mention anything set in the aircraft context'
+        : 'Content carries no machine-readable applicability',
+      text: applicability?.text || null
+    };
+  }
+
+  return {
+    applies: failed.length === 0,
+    evaluated: true,
+    reason: failed.length ? `Does not match ${failed.join(', ')}` : null,
+    checked,
+    unchecked: [...new Set(unknown.filter(Boolean))],
+    text: applicability?.text || null
+  };
+}
+
+/**
+ * Check a search result by its facet fields (actype, customization, ...)
+ */
+function evaluateResultApplicability(item, context) {
+  if (!context) {
+    return { applies: null, evaluated: false, reason: 'No aircraft context set' };
+  }
+
+  const assertions = [];
+  for (const [field, keys] of Object.entries(RESULT_APPLICABILITY_FIELDS)) {
+    const key = keys.find((name) => item?.[name] !== undefined && item[name] !== null && item[name] !== '');
+    if (key) {
+      assertions.push({ property: field === 'aircraftType' ? 'type' : field, values: [].concat(item[key]).join('|') });
+    }
+  }
+
+  const text = typeof item?.applicability === 'string' ? item.applicability : null;
+  return evaluateApplicability({ assertions, text }, context);
+}
+
+/**
+ * Annotate search results with `applicabilityCheck`; with mode 'filter'
+ * also drop those known not to apply (results that cannot be checked stay).
+ * `evaluate` checks one result; local index results carry parsed applicability.
+ */
+function applyApplicabilityToResults(results, context, mode = 'annotate', evaluate = evaluateResultApplicability) {
+  if (mode === 'off' || !context) {
+    return { results, filteredOut: 0 };
+  }
+
+  const annotated = results.map((item) => ({
+    ...item,
+    applicabilityCheck: evaluate(item, context)
+  }));
+
+  if (mode !== 'filter') {
+    return { results: annotated, filteredOut: 0 };
+  }
+
+  const kept = annotated.filter((item) => item.applicabilityCheck.applies !== false);
+  return { results: kept, filteredOut: annotated.length - kept.length };
+}
@@ -0,0 +1,290 @@
+/**
+ * AirNavX Bridge - Audit Log
+ * A record of which application accessed which maintenance data, and when,
+ * kept in IndexedDB for the quality system. Loaded by the background worker,
+ * which writes it, and the options page, which shows and exports it.
+ *
+ * Entries record what was asked for (query, module and graphic IDs), never
+ * the content returned. Entries are appended, oldest first; the log is
+ * bounded by age and entry count, both set in the settings.
+ *
+ * Relies on export.js (csvField) for the CSV export.
+ */
+
+const AUDIT_DB_NAME = 'airnavx-bridge-audit';
+const AUDIT_DB_VERSION = 1;
+const AUDIT_STORE = 'entries';
+const AUDIT_FLUSH_DELAY = 1000; // ms entries are buffered before they are written
+const AUDIT_MAX_LISTED_IDS = 50; // module IDs recorded per batch call
+const AUDIT_MAX_ARGUMENT_LENGTH = 500;
+
+// Request parameters worth recording; everything else (bodies, options) is left out
+const AUDIT_ARGUMENT_FIELDS = ['query', 'page', 'dataModuleId', 'dataModuleIds', 'icnId', 'code', 'endpoint', 'method',
+  'format', 'forPrint', 'against', 'depth', 'filters', 'refresh'];
+
+const AUDIT_CSV_COLUMNS = ['timestamp', 'origin', 'channel', 'tabId', 'method', 'arguments', 'instance', 'outcome',
+  'errorCode', 'latency', 'bytes', 'fromCache'];
+
+let auditBuffer = [];
+let auditFlushTimer = null;
+let auditWrites = Promise.resolve(); // storage writes run one at a time
+let auditDbPromise = null;
+
+/**
+ * The recorded arguments of a request: known fields only, long values cut short
+ */
+function auditArguments(params = {}) {
+  const args = {};
+
+  for (const field of AUDIT_ARGUMENT_FIELDS) {
+    let value = params[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (field === 'dataModuleIds') {
+      const ids = [].concat(value);
+      args.dataModuleCount = ids.length;
+      value = ids.slice(0, AUDIT_MAX_LISTED_IDS).map(String);
+    } else if (typeof value === 'object') {
+      // `against` may be a whole module the page kept; only its revision matters here
+      value = field === 'against' ? value.revision ?? '(content)' : JSON.stringify(value);
+    }
+
+    args[field] = typeof value === 'string' ? value.slice(0, AUDIT_MAX_ARGUMENT_LENGTH) : value;
+  }
+
+  return args;
+}
+
+/**
+ * Size of what went back to the caller, from sizes already known: the body
+ * length AirNavX answered with (`byteLength`, kept with cached copies too),
+ * text content such as an export, or the sum over a batch's items
+ */
+function auditResponseBytes(response) {
+  if (!response || response.success === false) {
+    return 0;
+  }
+  if (typeof response.byteLength === 'number') {
+    return response.byteLength;
+  }
+  if (typeof response.data === 'string') {
+    return response.data.length;
+  }
+  if (typeof response.content === 'string') {
+    return response.content.length;
+  }
+  if (Array.isArray(response.items)) {
+    return response.items.reduce((total, item) => total + (item.success ? auditResponseBytes(item.result) : 0), 0);
+  }
+  return 0;
+}
+
+/**
+ * One log entry. `context` is { origin, channel, tabId, method, params, instance };
+ * channel is 'page' (bridge API), 'content' (auto-linking) or 'extension'
+ * (popup and options page).
+ */
+function buildAuditEntry(context, response, latency) {
+  const failed = !response || response.success === false;
+  const errorCode = failed ? response?.errorCode || 'INTERNAL' : null;
+
+  return {
+    timestamp: Date.now(),
+    origin: context.origin || null,
+    channel: context.channel,
+    tabId: context.tabId ?? null,
+    method: context.method,
+    arguments: auditArguments(context.params),
+    instance: response?.instance ?? context.params?.instance ?? context.instance ?? null,
+    outcome: !failed ? 'success'
+      : errorCode === 'FORBIDDEN_ORIGIN' ? 'denied'
+      : errorCode === 'ABORTED' ? 'cancelled'
+      : 'error',
+    errorCode,
+    latency,
+    bytes: auditResponseBytes(response),
+    fromCache: failed ? null : !!response.fromCache
+  };
+}
+
+/**
+ * Buffer an entry; entries are written together shortly after
+ */
+function recordAuditEntry(entry) {
+  auditBuffer.push(entry);
+
+  if (!auditFlushTimer) {
+    auditFlushTimer = setTimeout(() => {
+      auditFlushTimer = null;
+      flushAuditLog().catch((error) => logger.warn('⚠️ Could not write the audit log:', error));
+    }, AUDIT_FLUSH_DELAY);
+  }
+}
+
+/**
+ * Open (and on first use create) the audit database. Entries are keyed by
+ * an increasing id, so key order is the order they were recorded in.
+ */
+function openAuditDb() {
+  if (!auditDbPromise) {
+    auditDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(AUDIT_DB_NAME, AUDIT_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const entries = request.result.createObjectStore(AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+        entries.createIndex('timestamp', 'timestamp');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        auditDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return auditDbPromise;
+}
+
+function auditRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withAuditStore(mode, callback) {
+  const db = await openAuditDb();
+  const transaction = db.transaction(AUDIT_STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await callback(transaction.objectStore(AUDIT_STORE));
+  await done;
+
+  return result;
+}
+
+/**
+ * Delete the first `count` records a cursor visits
+ */
+function deleteFirst(source, count, query = null) {
+  return new Promise((resolve, reject) => {
+    if (count <= 0) {
+      resolve();
+      return;
+    }
+    let left = count;
+    const request = source.openCursor(query);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      if (--left > 0) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Drop entries past the retention age, then the oldest beyond the entry limit
+ */
+async function pruneAuditStore(store, { auditMaxAge, auditMaxEntries }, now = Date.now()) {
+  await deleteFirst(store.index('timestamp'), Infinity, IDBKeyRange.upperBound(now - auditMaxAge, true));
+  await deleteFirst(store, await auditRequest(store.count()) - auditMaxEntries);
+}
+
+/**
+ * Run `change(store)` after earlier writes, then apply the retention settings
+ */
+function updateAuditLog(change) {
+  const run = auditWrites.then(() => withAuditStore('readwrite', async (store) => {
+    change(store);
+    await pruneAuditStore(store, getSettings());
+  }));
+  auditWrites = run.catch(() => {});
+  return run;
+}
+
+function flushAuditLog() {
+  const pending = auditBuffer;
+  auditBuffer = [];
+  return pending.length ? updateAuditLog((store) => pending.forEach((entry) => store.add(entry))) : Promise.resolve();
+}
+
+/**
+ * Apply the retention settings without adding anything
+ */
+function pruneAuditLog() {
+  return updateAuditLog(() => {});
+}
+
+/**
+ * Empty the log, leaving one entry that records who cleared it
+ */
+function clearAuditLog(entry) {
+  auditBuffer = [];
+  return updateAuditLog((store) => {
+    store.clear();
+    store.add(entry);
+  });
+}
+
+/**
+ * Every entry, oldest first
+ */
+async function getAuditLog() {
+  return withAuditStore('readonly', (store) => auditRequest(store.getAll()));
+}
+
+/**
+ * Entries matching the viewer's filters: origin, method, outcome, text
+ * (matched against the arguments), from / to (timestamps, inclusive)
+ */
+function filterAuditEntries(entries, { origin = '', method = '', outcome = '', text = '', from = null, to = null } = {}) {
+  const needle = text.trim().toLowerCase();
+
+  return entries.filter((entry) =>
+    (!origin || entry.origin === origin) &&
+    (!method || entry.method === method) &&
+    (!outcome || entry.outcome === outcome) &&
+    (from === null || entry.timestamp >= from) &&
+    (to === null || entry.timestamp <= to) &&
+    (!needle || JSON.stringify(entry.arguments).toLowerCase().includes(needle)));
+}
+
+/**
+ * Arguments as one readable line, e.g. 'query=wheel, page=2'
+ */
+function describeAuditArguments(args) {
+  return Object.entries(args || {})
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(' ') : value}`)
+    .join(', ');
+}
+
+function auditEntriesToCsv(entries) {
+  const rows = entries.map((entry) => AUDIT_CSV_COLUMNS.map((column) => {
+    if (column === 'timestamp') return new Date(entry.timestamp).toISOString();
+    if (column === 'arguments') return describeAuditArguments(entry.arguments);
+    return entry[column];
+  }));
+
+  return [AUDIT_CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function auditEntriesToJson(entries) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    entries: entries.map((entry) => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }))
+  }, null, 2);
+}
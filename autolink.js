@@ -0,0 +1,389 @@
+/**
+ * AirNavX Bridge - Task Reference Auto-linking
+ * On sites enabled under "Auto-link task references on" in the settings,
+ * task and data module codes written in the page become links. Hovering one
+ * shows its title and applicability from the bridge search; clicking opens
+ * the module in the lookup window.
+ *
+ * Pages such as defect logs are large and keep changing, so text is
+ * scanned in idle time, only what a mutation added is rescanned, and each
+ * code is looked up at most once per page.
+ */
+
+const AUTOLINK_CLASS = 'airnavx-autolink';
+const AUTOLINK_SKIP_SELECTOR = `script, style, noscript, template, textarea, input, select, option, button, a, [contenteditable=""], [contenteditable="true"], .${AUTOLINK_CLASS}`;
+const AUTOLINK_QUICK_TEST = /\d{2}-\d{2}-/; // cheap filter before the full patterns
+const AUTOLINK_MAX_PENDING = 500; // beyond this many changed subtrees, rescan the body
+const AUTOLINK_HOVER_DELAY = 300; // ms
+const AUTOLINK_HIDE_DELAY = 200; // ms
+const AUTOLINK_FORCED_SLICE = 10; // ms of scanning when the page never goes idle
+
+const autolink = {
+    enabled: false,
+    observer: null,
+    pending: [], // nodes added or changed since the last scan
+    walker: null, // scan in progress, resumed in the next idle slot
+    scanScheduled: false,
+    lookups: new Map(), // code -> Promise of the background answer
+    card: null,
+    hoverTimer: null,
+    hideTimer: null
+};
+
+/**
+ * Turn auto-linking on or off to match the settings for this origin
+ */
+function updateAutolinking() {
+    const wanted = getSettings().autolinkOrigins.includes(location.origin);
+
+    if (wanted && !autolink.enabled) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', updateAutolinking, { once: true });
+            return;
+        }
+        startAutolinking();
+    } else if (!wanted && autolink.enabled) {
+        stopAutolinking();
+    }
+}
+
+function startAutolinking() {
+    logger.info('🔗 Auto-linking task references on this page');
+    autolink.enabled = true;
+
+    autolink.observer = new MutationObserver(onMutations);
+    autolink.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    document.addEventListener('mouseover', onLinkOver);
+    document.addEventListener('mouseout', onLinkOut);
+    document.addEventListener('click', onLinkClick, true);
+    document.addEventListener('keydown', onLinkKeydown, true);
+
+    queueScan(document.body);
+}
+
+/**
+ * Disconnect and put the page text back as it was
+ */
+function stopAutolinking() {
+    logger.info('🔗 Auto-linking turned off');
+    autolink.enabled = false;
+
+    autolink.observer?.disconnect();
+    autolink.observer = null;
+    autolink.pending = [];
+    autolink.walker = null;
+
+    document.removeEventListener('mouseover', onLinkOver);
+    document.removeEventListener('mouseout', onLinkOut);
+    document.removeEventListener('click', onLinkClick, true);
+    document.removeEventListener('keydown', onLinkKeydown, true);
+    hideCard();
+
+    document.querySelectorAll(`.${AUTOLINK_CLASS}`).forEach((link) => {
+        const parent = link.parentNode;
+        link.replaceWith(document.createTextNode(link.textContent));
+        parent?.normalize();
+    });
+}
+
+/**
+ * Scanning
+ */
+function onMutations(mutations) {
+    for (const mutation of mutations) {
+        if (mutation.type === 'characterData') {
+            queueScan(mutation.target);
+        } else {
+            mutation.addedNodes.forEach((node) => queueScan(node));
+        }
+    }
+}
+
+function queueScan(node) {
+    if (node.nodeType !== Node.TEXT_NODE && node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+    }
+
+    // A page rebuilding itself wholesale is cheaper to rescan in one pass
+    if (autolink.pending.length >= AUTOLINK_MAX_PENDING) {
+        autolink.pending = [document.body];
+    } else {
+        autolink.pending.push(node);
+    }
+
+    if (!autolink.scanScheduled) {
+        autolink.scanScheduled = true;
+        requestIdleCallback(scanPending, { timeout: 1000 });
+    }
+}
+
+/**
+ * Work through queued nodes while the browser is idle, resuming where the
+ * previous slot stopped
+ */
+function scanPending(deadline) {
+    autolink.scanScheduled = false;
+    if (!autolink.enabled) return;
+
+    const until = performance.now() + (deadline.didTimeout ? AUTOLINK_FORCED_SLICE : deadline.timeRemaining());
+
+    while (autolink.walker || autolink.pending.length) {
+        if (performance.now() >= until) {
+            autolink.scanScheduled = true;
+            requestIdleCallback(scanPending, { timeout: 1000 });
+            return;
+        }
+
+        if (!autolink.walker) {
+            const root = autolink.pending.shift();
+            if (!root.isConnected) continue;
+
+            if (root.nodeType === Node.TEXT_NODE) {
+                if (acceptTextNode(root) === NodeFilter.FILTER_ACCEPT) {
+                    linkTextNode(root);
+                }
+                continue;
+            }
+            if (root.closest(AUTOLINK_SKIP_SELECTOR)) continue;
+
+            autolink.walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, { acceptNode: acceptTextNode });
+        }
+
+        const node = autolink.walker.nextNode();
+        if (node) {
+            // Carry on after the links just inserted, not inside them
+            autolink.walker.currentNode = linkTextNode(node);
+        } else {
+            autolink.walker = null;
+        }
+    }
+}
+
+function acceptTextNode(node) {
+    if (!AUTOLINK_QUICK_TEST.test(node.data)) {
+        return NodeFilter.FILTER_REJECT;
+    }
+    return node.parentElement && !node.parentElement.closest(AUTOLINK_SKIP_SELECTOR)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT;
+}
+
+/**
+ * Wrap each code in the text node; returns the last node inserted
+ */
+function linkTextNode(node) {
+    const text = node.data;
+    const references = findTaskReferences(text);
+    if (!references.length) {
+        return node;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let offset = 0;
+
+    for (const reference of references) {
+        if (reference.index > offset) {
+            fragment.appendChild(document.createTextNode(text.slice(offset, reference.index)));
+        }
+
+        const link = document.createElement('span');
+        link.className = AUTOLINK_CLASS;
+        link.textContent = text.slice(reference.index, reference.index + reference.length);
+        link.dataset.airnavxCode = reference.code;
+        link.setAttribute('role', 'link');
+        link.tabIndex = 0;
+        link.style.cssText = 'text-decoration: underline dotted #DC2626; cursor: pointer;';
+        fragment.appendChild(link);
+
+        offset = reference.index + reference.length;
+    }
+
+    if (offset < text.length) {
+        fragment.appendChild(document.createTextNode(text.slice(offset)));
+    }
+
+    const last = fragment.lastChild;
+    node.replaceWith(fragment);
+    return last;
+}
+
+/**
+ * Hover card
+ */
+function linkFromEvent(event) {
+    return event.target instanceof Element ? event.target.closest(`.${AUTOLINK_CLASS}`) : null;
+}
+
+function onLinkOver(event) {
+    const link = linkFromEvent(event);
+    if (!link) return;
+
+    clearTimeout(autolink.hideTimer);
+    clearTimeout(autolink.hoverTimer);
+    autolink.hoverTimer = setTimeout(() => showCard(link), AUTOLINK_HOVER_DELAY);
+}
+
+function onLinkOut(event) {
+    const link = linkFromEvent(event);
+    if (!link || link.contains(event.relatedTarget)) return;
+
+    clearTimeout(autolink.hoverTimer);
+    autolink.hideTimer = setTimeout(hideCard, AUTOLINK_HIDE_DELAY);
+}
+
+function onLinkClick(event) {
+    const link = linkFromEvent(event);
+    if (!link) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    openInBridge(link.dataset.airnavxCode);
+}
+
+function onLinkKeydown(event) {
+    const link = linkFromEvent(event);
+    if (!link || event.key !== 'Enter') return;
+
+    event.preventDefault();
+    openInBridge(link.dataset.airnavxCode);
+}
+
+function openInBridge(code) {
+    hideCard();
+    chrome.runtime.sendMessage({ action: 'openLookup', text: code })
+        .catch((error) => logger.warn('⚠️ Could not open lookup:', error));
+}
+
+/**
+ * Ask the background worker once per code; failures are forgotten so the
+ * next hover tries again
+ */
+function lookupReference(code) {
+    if (!autolink.lookups.has(code)) {
+        const lookup = chrome.runtime.sendMessage({ action: 'autolinkLookup', code })
+            .then((response) => {
+                if (!response?.success) {
+                    autolink.lookups.delete(code);
+                }
+                return response;
+            })
+            .catch((error) => {
+                autolink.lookups.delete(code);
+                return { success: false, error: error.message };
+            });
+        autolink.lookups.set(code, lookup);
+    }
+    return autolink.lookups.get(code);
+}
+
+async function showCard(link) {
+    const code = link.dataset.airnavxCode;
+    const card = getCard();
+
+    renderCard(card, { code, message: 'Looking up in AirNavX...' });
+    positionCard(card, link);
+
+    const response = await lookupReference(code);
+    if (card.host.dataset.code !== code) return; // moved on to another link
+
+    if (!response?.success) {
+        renderCard(card, { code, message: response?.error || 'AirNavX is not available' });
+    } else if (!response.match) {
+        renderCard(card, { code, message: 'Not found in AirNavX' });
+    } else {
+        renderCard(card, { code, match: response.match });
+    }
+    positionCard(card, link);
+}
+
+function hideCard() {
+    clearTimeout(autolink.hoverTimer);
+    if (autolink.card) {
+        autolink.card.host.remove();
+        autolink.card.host.dataset.code = '';
+    }
+}
+
+/**
+ * The card lives in a closed shadow root so page styles cannot reach it
+ */
+function getCard() {
+    if (!autolink.card) {
+        const host = document.createElement('div');
+        host.style.cssText = 'position: fixed; z-index: 2147483647; top: 0; left: 0;';
+        const root = host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .card { max-width: 340px; padding: 10px 12px; background: white; color: #212529;
+                border: 1px solid #dee2e6; border-left: 4px solid #DC2626; border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.15); font: 13px/1.4 -apple-system, 'Segoe UI', Roboto, sans-serif; }
+            .code { font-family: 'Courier New', monospace; font-size: 12px; color: #6c757d; word-break: break-all; }
+            .title { font-weight: 600; margin: 4px 0; }
+            .applies { font-size: 12px; }
+            .yes { color: #047857; } .no { color: #B91C1C; } .unknown { color: #6c757d; }
+            .hint { margin-top: 6px; font-size: 11px; color: #6c757d; }
+        `;
+        const body = document.createElement('div');
+        body.className = 'card';
+        root.append(style, body);
+
+        host.addEventListener('mouseover', () => clearTimeout(autolink.hideTimer));
+        host.addEventListener('mouseout', () => {
+            autolink.hideTimer = setTimeout(hideCard, AUTOLINK_HIDE_DELAY);
+        });
+
+        autolink.card = { host, body };
+    }
+
+    if (!autolink.card.host.isConnected) {
+        document.documentElement.appendChild(autolink.card.host);
+    }
+    return autolink.card;
+}
+
+function renderCard(card, { code, match = null, message = null }) {
+    card.host.dataset.code = code;
+    card.body.textContent = '';
+
+    const line = (className, text) => {
+        const element = document.createElement('div');
+        element.className = className;
+        element.textContent = text;
+        card.body.appendChild(element);
+        return element;
+    };
+
+    line('code', match?.dataModuleId || code);
+
+    if (!match) {
+        line('hint', message);
+        return;
+    }
+
+    line('title', match.title || code);
+
+    const check = match.applicabilityCheck;
+    if (check.applies === true) {
+        line('applies yes', '✓ Applies to this aircraft');
+    } else if (check.applies === false) {
+        line('applies no', `✗ ${check.reason}`);
+    } else {
+        line('applies unknown', `? ${check.reason}`);
+    }
+
+    line('hint', 'Click to open in AirNavX Bridge');
+}
+
+function positionCard(card, link) {
+    const rect = link.getBoundingClientRect();
+    const height = card.host.offsetHeight;
+    const below = rect.bottom + 6 + height <= window.innerHeight;
+
+    card.host.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - card.host.offsetWidth - 4))}px`;
+    card.host.style.top = `${below ? rect.bottom + 6 : Math.max(4, rect.top - height - 6)}px`;
+}
+
+settingsReady.then(updateAutolinking);
+onSettingsChanged(updateAutolinking);
@@ -3,75 +3,266 @@
  * Handles communication between web apps and local AirNavX
  */
 
-// Configuration
-const AIRNAVX_CANDIDATE_PORTS = [59720, 51798, 54320, 52000, 50000, 53000];
-const AIRNAVX_HOSTS = ['127.0.0.1', 'localhost'];
-const DETECTION_TIMEOUT = 2000; // ms per port
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+importScripts('settings.js', 'errors.js', 'scheduler.js', 'references.js', 'parser.js', 'applicability.js', 'export.js', 'audit.js', 'diff.js', 'cache.js', 'fulltext.js');
+
+// Configuration (hosts, ports and timeouts come from settings.js)
+const ALLOWED_ORIGINS_KEY = 'allowed_origins';
+const SESSION_GRANTS_KEY = 'session_origin_grants';
+const BRIDGE_PORT_NAME = 'airnavx-bridge';
+const INSTANCES_KEY = 'airnavx_instances';
+const DEFAULT_INSTANCE_KEY = 'default_instance';
+const CONTENT_ENDPOINTS_KEY = 'content_endpoints'; // 'host:port@version' -> variant name
+const CONTENT_ATTEMPT_TIMEOUT = 10000; // ms per content endpoint variant
+const GRAPHIC_ENDPOINTS_KEY = 'graphic_endpoints'; // 'host:port@version' -> variant name
+const PRINT_ENDPOINTS_KEY = 'print_content_endpoints'; // 'host:port@version' -> variant name
+const ICN_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 8; // keep the local AirNavX server responsive
+const BATCH_MAX_ITEMS = 500;
+const REFERENCE_MAX_DEPTH = 5;
+const REFERENCE_DEFAULT_MAX_NODES = 100;
+const REFERENCE_MAX_NODES = 500;
+const AUDITED_RUNTIME_ACTIONS = new Set(['search', 'searchLocal', 'fetchContent', 'diffContent', 'checkRevisions',
+  'customFetch', 'autolinkLookup']); // popup and auto-link calls that read maintenance data
+const LOCAL_FALLBACK_CODES = [ERROR_CODES.NOT_DETECTED, ERROR_CODES.NETWORK_ERROR]; // AirNavX down, not a bad query
+const HEALTH_ALARM = 'airnavx-health-check';
+const CONNECTION_STATUS_KEY = 'connection_status'; // session storage; survives worker suspension
+const LOOKUP_MENU_ID = 'airnavx-lookup';
+const LOOKUP_WINDOW_KEY = 'lookup_window'; // session storage
+const LOOKUP_MAX_LENGTH = 200; // characters of the selection passed on
+
+// Content endpoint variants, tried in order - GET first, POST was giving 405
+const CONTENT_ENDPOINT_VARIANTS = [
+  {
+    name: 'GET with dataModuleId param',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: (id) => ({ dataModuleId: id })
+  },
+  {
+    name: 'GET with all params',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: (id) => ({ dataModuleId: id, forHatch: 'false', forPrint: 'false' })
+  },
+  {
+    name: 'GET with dmCode param',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: (id) => ({ dmCode: id })
+  },
+  {
+    name: 'GET with id param',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: (id) => ({ id })
+  },
+  {
+    name: 'GET alternative endpoint',
+    method: 'GET',
+    endpoint: (id) => `/airnavx/api/content/${encodeURIComponent(id)}`,
+    params: () => ({})
+  },
+  {
+    name: 'GET viewer endpoint',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/viewer/content',
+    params: (id) => ({ dataModuleId: id })
+  },
+  {
+    name: 'POST with JSON body',
+    method: 'POST',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: () => ({}),
+    body: (id) => ({ dataModuleId: id, forHatch: false, forPrint: false })
+  }
+];
+
+// Print layout of a data module (forPrint), for exported task cards
+const PRINT_CONTENT_ENDPOINT_VARIANTS = [
+  {
+    name: 'GET print content',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: (id) => ({ dataModuleId: id, forHatch: 'false', forPrint: 'true' })
+  },
+  {
+    name: 'POST print content',
+    method: 'POST',
+    endpoint: () => '/airnavx/api/dataModule/content',
+    params: () => ({}),
+    body: (id) => ({ dataModuleId: id, forHatch: false, forPrint: true })
+  }
+];
+
+// Graphic (ICN) endpoint variants, tried in order like the content variants
+const GRAPHIC_ENDPOINT_VARIANTS = [
+  {
+    name: 'GET viewer graphic',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/viewer/graphic',
+    params: (icn) => ({ icn })
+  },
+  {
+    name: 'GET graphic path',
+    method: 'GET',
+    endpoint: (icn) => `/airnavx/api/graphic/${encodeURIComponent(icn)}`,
+    params: () => ({})
+  },
+  {
+    name: 'GET dataModule graphic',
+    method: 'GET',
+    endpoint: () => '/airnavx/api/dataModule/graphic',
+    params: (icn) => ({ icnId: icn })
+  },
+  {
+    name: 'GET viewer icn path',
+    method: 'GET',
+    endpoint: (icn) => `/airnavx/api/viewer/icn/${encodeURIComponent(icn)}`,
+    params: () => ({})
+  },
+  {
+    name: 'GET multimedia path',
+    method: 'GET',
+    endpoint: (icn) => `/airnavx/api/multimedia/${encodeURIComponent(icn)}`,
+    params: () => ({})
+  }
+];
+
+// Resources fetched by trying endpoint variants and remembering the one that works
+const RESOURCE_KINDS = {
+  content: {
+    label: 'Data module',
+    idField: 'dataModuleId',
+    variants: CONTENT_ENDPOINT_VARIANTS,
+    learnedKey: CONTENT_ENDPOINTS_KEY,
+    notFoundCode: ERROR_CODES.MODULE_NOT_FOUND
+  },
+  printContent: {
+    label: 'Print layout',
+    idField: 'dataModuleId',
+    variants: PRINT_CONTENT_ENDPOINT_VARIANTS,
+    learnedKey: PRINT_ENDPOINTS_KEY,
+    notFoundCode: ERROR_CODES.MODULE_NOT_FOUND
+  },
+  graphic: {
+    label: 'Graphic',
+    idField: 'icnId',
+    variants: GRAPHIC_ENDPOINT_VARIANTS,
+    learnedKey: GRAPHIC_ENDPOINTS_KEY,
+    notFoundCode: ERROR_CODES.GRAPHIC_NOT_FOUND,
+    responseType: 'binary'
+  }
+};
+
+// Friendly search facet names -> AirNavX aggregation names
+const SEARCH_FACET_ALIASES = {
+  ata: 'ata2',
+  aircraftType: 'actype',
+  doctype: 'doctypebc',
+  docType: 'doctypebc'
+};
+
+// Endpoints that may describe the running AirNavX build
+const AIRNAVX_INFO_ENDPOINTS = [
+  '/airnavx/api/application/version',
+  '/airnavx/api/version',
+  '/airnavx/api/about'
+];
 
 // State
 let detectedAirNavX = null;
 let lastDetectionTime = null;
+let detectionInFlight = null;
+const airnavxInstances = new Map(); // 'host:port' -> instance description
+const revalidationsInFlight = new Set();
+const detectionProgressListeners = new Set(); // callbacks for scan progress
+const pendingConsents = new Map(); // origin -> { windowId, tabIds, waiters }
 
 /**
  * Detect AirNavX installation
+ *
+ * Resolves to the default instance. The preferred endpoint (the user's
+ * default, else the last one that worked) is tried first; otherwise every
+ * candidate host:port is probed concurrently and the first verified answer
+ * wins while the scan keeps collecting the other instances.
+ * Concurrent callers share one detection run.
  */
 async function detectAirNavX(forceRefresh = false) {
+  const settings = await settingsReady.then(getSettings);
+  
   // Return cached result if recent
   if (!forceRefresh && detectedAirNavX && lastDetectionTime && 
-      (Date.now() - lastDetectionTime < CACHE_DURATION)) {
+      (Date.now() - lastDetectionTime < settings.cacheDuration)) {
     return detectedAirNavX;
   }
+  
+  if (!detectionInFlight) {
+    detectionInFlight = runDetection(settings).finally(() => {
+      detectionInFlight = null;
+      updateConnectionStatus().catch((error) => logger.warn('⚠️ Status broadcast failed:', error));
+    });
+  }
+  
+  return detectionInFlight;
+}
 
-  console.log('🔍 Starting AirNavX detection...');
+async function runDetection(settings) {
+  logger.info('🔍 Starting AirNavX detection...');
+  const startedAt = Date.now();
   
-  for (const host of AIRNAVX_HOSTS) {
-    for (const port of AIRNAVX_CANDIDATE_PORTS) {
-      try {
-        const testUrl = `http://${host}:${port}/airnavx/api/viewer/search?q=test&page=1`;
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), DETECTION_TIMEOUT);
-        
-        const response = await fetch(testUrl, {
-          method: 'GET',
-          signal: controller.signal,
-          headers: { 'Accept': 'application/json' }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (response.ok) {
-          detectedAirNavX = { host, port };
-          lastDetectionTime = Date.now();
-          
-          console.log(`✅ AirNavX detected at ${host}:${port}`);
-          
-          // Save to storage
-          await chrome.storage.local.set({
-            airnavx_host: host,
-            airnavx_port: port,
-            last_detection: Date.now()
-          });
-          
-          // Update badge
-          chrome.action.setBadgeText({ text: '✓' });
-          chrome.action.setBadgeBackgroundColor({ color: '#10B981' });
-          
-          return detectedAirNavX;
-        }
-        
-      } catch (error) {
-        // Port not responding, continue to next
-        continue;
-      }
+  // A pinned endpoint replaces the scan entirely
+  const pinned = parseEndpoint(settings.pinnedEndpoint);
+  let instance = null;
+  
+  if (pinned) {
+    const probe = await probeInstance(pinned.host, pinned.port, settings.detectionTimeout);
+    const instances = probe ? [await describeInstance(probe, settings.detectionTimeout)] : [];
+    await setInstances(instances);
+    instance = instances[0] || null;
+  } else {
+    const preferred = await getPreferredEndpoint();
+    const probe = preferred
+      ? await probeInstance(preferred.host, preferred.port, settings.detectionTimeout)
+      : null;
+    
+    if (probe) {
+      instance = airnavxInstances.get(instanceId(probe)) ||
+        await describeInstance(probe, settings.detectionTimeout);
+      
+      // Warm start: answer now, refresh the instance list behind the scenes
+      scanInstances(settings).all.catch((error) => logger.warn('⚠️ Instance scan failed:', error));
+    } else {
+      const scan = scanInstances(settings);
+      const first = await scan.first;
+      instance = first ? await describeInstance(first, settings.detectionTimeout) : null;
     }
   }
   
-  console.log('❌ AirNavX not detected');
-  detectedAirNavX = null;
   lastDetectionTime = Date.now();
   
+  if (instance) {
+    detectedAirNavX = { ...instance, verifiedAt: lastDetectionTime };
+    
+    logger.info(`✅ AirNavX ${detectedAirNavX.version || ''} detected at ${instance.host}:${instance.port} in ${Date.now() - startedAt} ms`);
+    
+    // Save to storage
+    await chrome.storage.local.set({
+      airnavx_host: instance.host,
+      airnavx_port: instance.port,
+      last_detection: lastDetectionTime
+    });
+    
+    // Update badge
+    chrome.action.setBadgeText({ text: '✓' });
+    chrome.action.setBadgeBackgroundColor({ color: '#10B981' });
+    
+    return detectedAirNavX;
+  }
+  
+  logger.info('❌ AirNavX not detected');
+  detectedAirNavX = null;
+  
   // Update badge
   chrome.action.setBadgeText({ text: '✗' });
   chrome.action.setBadgeBackgroundColor({ color: '#DC2626' });
@@ -79,18 +270,316 @@ async function detectAirNavX(forceRefresh = false) {
   return null;
 }
 
+/**
+ * The user's default instance if one is chosen, else the last one that worked
+ */
+async function getPreferredEndpoint() {
+  const stored = await chrome.storage.local.get([DEFAULT_INSTANCE_KEY, 'airnavx_host', 'airnavx_port']);
+  
+  const preferred = parseEndpoint(stored[DEFAULT_INSTANCE_KEY]);
+  if (preferred) {
+    return preferred;
+  }
+  
+  if (detectedAirNavX) {
+    return { host: detectedAirNavX.host, port: detectedAirNavX.port };
+  }
+  
+  return stored.airnavx_host && stored.airnavx_port
+    ? { host: stored.airnavx_host, port: stored.airnavx_port }
+    : null;
+}
+
+/**
+ * Probe every candidate concurrently.
+ * `first` resolves with the first verified probe (or null when none answer);
+ * `all` resolves with every described instance once the scan has settled.
+ */
+function scanInstances(settings) {
+  const candidates = settings.hosts
+    .flatMap((host) => settings.candidatePorts.map((port) => ({ host, port })));
+  
+  let resolveFirst;
+  const first = new Promise((resolve) => { resolveFirst = resolve; });
+  let checked = 0;
+  let found = 0;
+  
+  const all = Promise.all(candidates.map(async ({ host, port }) => {
+    const probe = await probeInstance(host, port, settings.detectionTimeout);
+    if (probe) {
+      found++;
+      resolveFirst(probe);
+    }
+    
+    checked++;
+    reportDetectionProgress({ stage: 'scan', checked, total: candidates.length, found });
+    return probe;
+  })).then(async (probes) => {
+    resolveFirst(null);
+    
+    // 127.0.0.1 and localhost reach the same process; keep the first host per port
+    const byPort = new Map();
+    for (const probe of probes) {
+      if (probe && !byPort.has(probe.port)) {
+        byPort.set(probe.port, probe);
+      }
+    }
+    
+    const instances = await Promise.all([...byPort.values()]
+      .map((probe) => describeInstance(probe, settings.detectionTimeout)));
+    
+    await setInstances(instances);
+    logger.info(`📚 ${instances.length} AirNavX instance(s) found`);
+    return instances;
+  });
+  
+  return { first, all };
+}
+
+function reportDetectionProgress(progress) {
+  detectionProgressListeners.forEach((listener) => listener(progress));
+}
+
+/**
+ * Forward scan progress to a caller for as long as its task runs
+ */
+async function withDetectionProgress(onProgress, task) {
+  if (!onProgress) {
+    return task();
+  }
+  
+  detectionProgressListeners.add(onProgress);
+  try {
+    return await task();
+  } finally {
+    detectionProgressListeners.delete(onProgress);
+  }
+}
+
+/**
+ * Stop waiting on a shared task when the caller's signal aborts.
+ * The task itself keeps running for its other callers.
+ */
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancellationError(signal));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function instanceId({ host, port }) {
+  return `${host}:${port}`;
+}
+
+async function describeInstance(probe, timeout) {
+  return {
+    id: instanceId(probe),
+    host: probe.host,
+    port: probe.port,
+    ...(await fingerprintInstance(probe, timeout)),
+    verifiedAt: Date.now()
+  };
+}
+
+async function setInstances(instances) {
+  airnavxInstances.clear();
+  instances.forEach((instance) => airnavxInstances.set(instance.id, instance));
+  
+  await chrome.storage.local.set({ [INSTANCES_KEY]: instances });
+  
+  // The default may now be known under its full description
+  if (detectedAirNavX && airnavxInstances.has(detectedAirNavX.id)) {
+    detectedAirNavX = { ...airnavxInstances.get(detectedAirNavX.id), verifiedAt: detectedAirNavX.verifiedAt };
+  }
+}
+
+/**
+ * All known instances, scanning first when none have been found yet
+ */
+async function listInstances(forceRefresh = false) {
+  if (forceRefresh || airnavxInstances.size === 0) {
+    const settings = await settingsReady.then(getSettings);
+    
+    if (parseEndpoint(settings.pinnedEndpoint)) {
+      await detectAirNavX(true);
+    } else {
+      await scanInstances(settings).all;
+    }
+  }
+  
+  return [...airnavxInstances.values()];
+}
+
+/**
+ * Resolve an instance selector to a known instance.
+ * Accepts an instance id ('host:port'), a port number, or a library name /
+ * aircraft type as reported by the instance. No selector means the default.
+ */
+async function resolveInstance(selector) {
+  if (selector === undefined || selector === null || selector === '') {
+    return detectAirNavX();
+  }
+  
+  const findMatch = (instances) => instances.find((instance) => {
+    if (typeof selector === 'number') {
+      return instance.port === selector;
+    }
+    
+    const wanted = String(selector).toLowerCase();
+    return instance.id === wanted ||
+      String(instance.port) === wanted ||
+      (instance.library && instance.library.toLowerCase() === wanted) ||
+      instance.aircraftTypes.some((type) => String(type).toLowerCase() === wanted);
+  });
+  
+  // Rescan once in case the instance was started after the last scan
+  return findMatch(await listInstances()) || findMatch(await listInstances(true)) || null;
+}
+
+/**
+ * Probe one host:port and verify that the answer really comes from AirNavX
+ */
+async function probeInstance(host, port, timeout, signal = null) {
+  const testUrl = `http://${host}:${port}/airnavx/api/viewer/search?q=test&page=1`;
+  
+  try {
+    const response = await fetchWithTimeout(testUrl, timeout, signal);
+    if (!response.ok) {
+      return null;
+    }
+    
+    const data = await response.json();
+    if (!isAirNavXSearchResponse(data)) {
+      logger.debug(`⚠️ ${host}:${port} answered, but not like AirNavX`);
+      return null;
+    }
+    
+    return {
+      host,
+      port,
+      serverHeader: response.headers.get('server'),
+      versionHeader: response.headers.get('x-airnavx-version'),
+      aircraftTypes: extractAggregationKeys(data, 'actype')
+    };
+    
+  } catch (error) {
+    // Port closed, timed out, or not JSON
+    return null;
+  }
+}
+
+/**
+ * AirNavX search answers carry a result list and/or hit counters
+ */
+function isAirNavXSearchResponse(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return false;
+  }
+  
+  return Array.isArray(data.results) ||
+    ['total', 'totalResults', 'totalCount', 'nbResults'].some((key) => typeof data[key] === 'number');
+}
+
+function extractAggregationKeys(data, name) {
+  const aggregation = data?.aggregations?.[name];
+  const buckets = Array.isArray(aggregation) ? aggregation : aggregation?.buckets;
+  
+  if (!Array.isArray(buckets)) {
+    return [];
+  }
+  
+  return buckets.map((bucket) => bucket.key ?? bucket.value ?? bucket.name).filter(Boolean);
+}
+
+/**
+ * Collect version and library details when the instance exposes them
+ */
+async function fingerprintInstance(instance, timeout) {
+  const info = {
+    version: instance.versionHeader || null,
+    library: null,
+    server: instance.serverHeader || null,
+    aircraftTypes: instance.aircraftTypes || []
+  };
+  
+  for (const endpoint of AIRNAVX_INFO_ENDPOINTS) {
+    try {
+      const response = await fetchWithTimeout(`http://${instance.host}:${instance.port}${endpoint}`, timeout);
+      if (!response.ok) {
+        continue;
+      }
+      
+      const data = await response.json();
+      info.version = info.version || data.version || data.applicationVersion || data.buildVersion || null;
+      info.library = data.library || data.libraryName || data.documentation || null;
+      info.endpoint = endpoint;
+      break;
+      
+    } catch (error) {
+      // Not exposed by this AirNavX build
+      continue;
+    }
+  }
+  
+  return info;
+}
+
+async function fetchWithTimeout(url, timeout, signal = null) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+  
+  try {
+    return await fetch(url, {
+      method: 'GET',
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json' }
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
 /**
  * Fetch from AirNavX
  */
 async function fetchFromAirNavX(endpoint, options = {}) {
-  const airnavx = await detectAirNavX();
+  const airnavx = await resolveInstance(options.instance);
   
   if (!airnavx) {
-    throw new Error('AirNavX not detected. Please ensure AirNavX is running.');
+    throw new BridgeError(ERROR_CODES.NOT_DETECTED, options.instance
+      ? `No AirNavX instance matches "${options.instance}"`
+      : 'AirNavX not detected. Please ensure AirNavX is running.',
+    { details: { instance: options.instance ?? null } });
   }
   
   const { host, port } = airnavx;
-  const { method = 'GET', params = {}, body = null, timeout = 30000 } = options;
+  const {
+    method = 'GET',
+    params = {},
+    body = null,
+    timeout = getSettings().requestTimeout,
+    signal = null,
+    priority = 'normal',
+    retries,
+    responseType = 'auto'
+  } = options;
+  
+  if (signal?.aborted) {
+    throw cancellationError(signal);
+  }
   
   // Build URL
   let url = `http://${host}:${port}${endpoint}`;
@@ -100,8 +589,6 @@ async function fetchFromAirNavX(endpoint, options = {}) {
     url += `?${queryString}`;
   }
   
-  console.log(`📡 Fetching: ${method} ${url}`);
-  
   // Prepare fetch options
   const fetchOptions = {
     method: method,
@@ -112,50 +599,271 @@ async function fetchFromAirNavX(endpoint, options = {}) {
   
   if (body) {
     if (method === 'POST' || method === 'PUT') {
-      // For POST requests to AirNavX content endpoint, send empty body
+      fetchOptions.headers['Content-Type'] = 'application/json';
       fetchOptions.body = JSON.stringify(body);
     }
   }
   
-  // Add timeout
+  // Identical GETs in flight share one request; only GETs are retried
+  const idempotent = method === 'GET';
+  
+  const attempt = (attemptSignal) => sendToAirNavX(url, fetchOptions, {
+    airnavx,
+    endpoint,
+    timeout,
+    responseType,
+    signal: attemptSignal
+  });
+  
+  return scheduleRequest(attempt, {
+    key: idempotent ? `${method} ${url}` : null,
+    priority,
+    signal,
+    retries: idempotent ? retries : 0
+  });
+}
+
+/**
+ * One HTTP attempt, run by the scheduler once a slot is free
+ */
+async function sendToAirNavX(url, fetchOptions, { airnavx, endpoint, timeout, responseType, signal }) {
+  const { host, port } = airnavx;
+  const { method } = fetchOptions;
+  
+  logger.debug(`📡 Fetching: ${method} ${url}`);
+  
+  // Add timeout; the scheduler's signal aborts the same fetch
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
-  fetchOptions.signal = controller.signal;
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
   
   try {
-    const response = await fetch(url, fetchOptions);
+    const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
     clearTimeout(timeoutId);
     
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw new BridgeError(ERROR_CODES.HTTP_ERROR, `HTTP ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        details: { endpoint }
+      });
     }
     
-    const data = await response.json();
-    console.log(`✅ Fetch successful`);
+    const contentType = response.headers.get('content-type') || '';
+    const location = { host: host, port: port, instance: instanceId(airnavx) };
+    
+    // Graphics cross the extension's message ports as base64
+    if (responseType === 'binary') {
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const mimeType = graphicMimeType(contentType, bytes);
+      
+      if (!mimeType) {
+        // Typically the viewer's HTML shell served for an unknown route
+        throw new BridgeError(ERROR_CODES.PARSE_ERROR, `Not a graphic (${contentType || 'no content type'})`, {
+          details: { endpoint }
+        });
+      }
+      
+      logger.debug(`✅ Fetched ${bytes.length} bytes of ${mimeType}`);
+      return { success: true, data: bytesToBase64(bytes), mimeType, byteLength: bytes.length, ...location };
+    }
+    
+    // Content endpoints may answer with HTML or plain text instead of JSON.
+    // The body is read as text either way so its length is known.
+    const text = await response.text();
+    const data = contentType.includes('application/json') ? JSON.parse(text) : text;
+    logger.debug(`✅ Fetch successful`);
     
     return {
       success: true,
       data: data,
-      host: host,
-      port: port
+      byteLength: text.length,
+      ...location
     };
     
   } catch (error) {
     clearTimeout(timeoutId);
-    console.error(`❌ Fetch failed:`, error);
+    
+    if (signal?.aborted) {
+      logger.debug(`🛑 Fetch cancelled: ${method} ${url}`);
+      throw cancellationError(signal);
+    }
+    
+    logger.error(`❌ Fetch failed:`, error);
+    
+    if (error instanceof BridgeError) {
+      throw error;
+    }
     
     if (error.name === 'AbortError') {
-      throw new Error('Request timeout - AirNavX not responding');
+      throw new BridgeError(ERROR_CODES.TIMEOUT, 'Request timeout - AirNavX not responding', { details: { endpoint, timeout } });
     }
     
-    throw error;
+    // fetch() rejects with a TypeError when nothing answers on the port
+    if (error instanceof TypeError) {
+      throw new BridgeError(ERROR_CODES.NETWORK_ERROR, `AirNavX could not be reached at ${host}:${port}`, { details: { endpoint } });
+    }
+    
+    throw toBridgeError(error);
+    
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Origin access control
+ *
+ * Permanent grants live in chrome.storage.local; "allow once" and "deny"
+ * decisions are kept per tab in chrome.storage.session and dropped when
+ * the tab navigates or closes.
+ */
+async function getAllowedOrigins() {
+  const stored = await chrome.storage.local.get(ALLOWED_ORIGINS_KEY);
+  return stored[ALLOWED_ORIGINS_KEY] || {};
+}
+
+async function getSessionGrants() {
+  const stored = await chrome.storage.session.get(SESSION_GRANTS_KEY);
+  return stored[SESSION_GRANTS_KEY] || {};
+}
+
+async function setSessionGrant(tabId, origin, decision) {
+  const grants = await getSessionGrants();
+  grants[`${tabId}|${origin}`] = decision;
+  await chrome.storage.session.set({ [SESSION_GRANTS_KEY]: grants });
+}
+
+async function clearSessionGrants(tabId) {
+  const grants = await getSessionGrants();
+  const prefix = `${tabId}|`;
+  let changed = false;
+
+  for (const key of Object.keys(grants)) {
+    if (key.startsWith(prefix)) {
+      delete grants[key];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await chrome.storage.session.set({ [SESSION_GRANTS_KEY]: grants });
+  }
+}
+
+async function checkOriginAccess(origin, tabId) {
+  const granted = await getOriginGrant(origin, tabId);
+  if (granted !== null) {
+    return granted;
+  }
+
+  const decision = await requestConsent(origin, tabId);
+  return decision === 'always' || decision === 'once';
+}
+
+/**
+ * The decision already made for an origin in a tab, without prompting:
+ * true or false, or null when the user has not been asked yet
+ */
+async function getOriginGrant(origin, tabId) {
+  if (!origin || origin === 'null') {
+    return false;
+  }
+
+  const allowed = await getAllowedOrigins();
+  if (allowed[origin]) {
+    return true;
+  }
+
+  const grants = await getSessionGrants();
+  const sessionDecision = grants[`${tabId}|${origin}`];
+  return sessionDecision ? sessionDecision === 'allow' : null;
+}
+
+/**
+ * Ask the user whether an origin may use the bridge.
+ * Concurrent requests from the same origin share one prompt window.
+ */
+function requestConsent(origin, tabId) {
+  let pending = pendingConsents.get(origin);
+
+  if (!pending) {
+    pending = { windowId: null, tabIds: new Set(), waiters: [] };
+    pendingConsents.set(origin, pending);
+
+    logger.info(`🔐 Requesting consent for ${origin}`);
+
+    const url = chrome.runtime.getURL(`consent.html?origin=${encodeURIComponent(origin)}`);
+    chrome.windows.create({ url, type: 'popup', width: 420, height: 360 })
+      .then((win) => { pending.windowId = win.id; })
+      .catch((error) => {
+        logger.error('❌ Failed to open consent prompt:', error);
+        resolveConsent(origin, 'dismissed');
+      });
+  }
+
+  pending.tabIds.add(tabId);
+
+  return new Promise((resolve) => {
+    pending.waiters.push(resolve);
+  });
+}
+
+async function resolveConsent(origin, decision) {
+  const pending = pendingConsents.get(origin);
+  if (!pending) {
+    return;
   }
+  pendingConsents.delete(origin);
+
+  logger.info(`🔐 Consent for ${origin}: ${decision}`);
+
+  if (decision === 'always') {
+    const allowed = await getAllowedOrigins();
+    allowed[origin] = { grantedAt: Date.now() };
+    await chrome.storage.local.set({ [ALLOWED_ORIGINS_KEY]: allowed });
+  } else if (decision === 'once' || decision === 'deny') {
+    for (const tabId of pending.tabIds) {
+      await setSessionGrant(tabId, origin, decision === 'once' ? 'allow' : 'deny');
+    }
+  }
+
+  pending.waiters.forEach((resolve) => resolve(decision));
 }
 
+chrome.windows.onRemoved.addListener((windowId) => {
+  for (const [origin, pending] of pendingConsents) {
+    if (pending.windowId === windowId) {
+      // Closing the prompt without choosing denies this call only
+      resolveConsent(origin, 'dismissed');
+    }
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearSessionGrants(tabId);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    clearSessionGrants(tabId);
+  }
+});
+
 /**
  * Message handler
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (AUDITED_RUNTIME_ACTIONS.has(request.action)) {
+    sendResponse = auditedResponder({
+      origin: getSenderOrigin(sender),
+      channel: sender.tab ? 'content' : 'extension',
+      tabId: sender.tab?.id,
+      method: request.action,
+      params: request
+    }, sendResponse);
+  }
+  
   // Handle different action types
   switch (request.action) {
     case 'detect':
@@ -166,6 +874,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleSearch(request, sendResponse);
       return true;
       
+    case 'searchLocal':
+      handleSearchLocal(request, sendResponse);
+      return true;
+      
     case 'fetchContent':
       handleFetchContent(request, sendResponse);
       return true;
@@ -177,142 +889,1712 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'getStatus':
       handleGetStatus(request, sendResponse);
       return true;
+
+    case 'listInstances':
+      handleListInstances(request, sendResponse);
+      return true;
+      
+    case 'setDefaultInstance':
+      handleSetDefaultInstance(request, sendResponse);
+      return true;
+
+    case 'getAircraftContext':
+      handleGetAircraftContext(request, sendResponse);
+      return true;
+
+    case 'setAircraftContext':
+      handleSetAircraftContext(request, sendResponse);
+      return true;
+
+    case 'diffContent':
+      handleDiffContent(request, sendResponse);
+      return true;
+
+    case 'checkRevisions':
+      handleCheckRevisions(request, sendResponse);
+      return true;
+
+    case 'clearCache':
+      handleClearCache(request, sendResponse);
+      return true;
       
+    case 'getCacheStats':
+      handleGetCacheStats(request, sendResponse);
+      return true;
+
+    case 'consentDecision':
+      handleConsentDecision(request, sender, sendResponse);
+      return false;
+
+    case 'autolinkLookup':
+      handleAutolinkLookup(request, sender, sendResponse);
+      return true;
+
+    case 'clearAuditLog':
+      clearAuditLog(buildAuditEntry({ origin: getSenderOrigin(sender), channel: 'extension', method: 'clearAuditLog' }, { success: true }, 0))
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse(errorResponse(error)));
+      return true;
+
+    case 'openLookup':
+      openLookupWindow(String(request.text || ''))
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse(errorResponse(error)));
+      return true;
+
     default:
-      sendResponse({ success: false, error: 'Unknown action' });
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Unknown action')));
       return false;
   }
 });
 
+/**
+ * Page bridge
+ *
+ * Each tab's content script relays page calls over a long-lived port, so
+ * every tab shares this worker's detection state, cache and handlers.
+ */
+const PAGE_HANDLERS = {
+  detect: handleDetect,
+  search: handleSearch,
+  searchLocal: handleSearchLocal,
+  fetchContent: handleFetchContent,
+  fetchContentBatch: handleFetchContentBatch,
+  fetchGraphic: handleFetchGraphic,
+  resolveReferences: handleResolveReferences,
+  exportTaskCard: handleExportTaskCard,
+  diffContent: handleDiffContent,
+  getAircraftContext: handleGetAircraftContext,
+  setAircraftContext: handleSetAircraftContext,
+  customFetch: handleCustomFetch,
+  getStatus: handleGetStatus,
+  listInstances: handleListInstances,
+  pinModules: handlePinModules,
+  unpinModules: handleUnpinModules,
+  clearCache: handleClearCache,
+  getCacheStats: handleGetCacheStats
+};
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BRIDGE_PORT_NAME) {
+    return;
+  }
+  
+  // requestId -> AbortController for the calls still running on this port
+  const controllers = new Map();
+  
+  port.onMessage.addListener((message) => {
+    if (message.cancel) {
+      controllers.get(message.requestId)?.abort(message.reason || 'cancelled');
+      return;
+    }
+    
+    const controller = new AbortController();
+    controllers.set(message.requestId, controller);
+    
+    handlePageRequest(port, message, controller.signal)
+      .finally(() => controllers.delete(message.requestId));
+  });
+  
+  // The tab navigated or closed; nobody is waiting for these anymore
+  port.onDisconnect.addListener(() => {
+    controllers.forEach((controller) => controller.abort('cancelled'));
+    controllers.clear();
+  });
+});
+
+async function handlePageRequest(port, message, signal) {
+  const { requestId, method, params = {} } = message;
+  const reply = (response) => {
+    try {
+      port.postMessage({ requestId, ...response });
+    } catch (error) {
+      // Tab went away before the response was ready
+    }
+  };
+  const replyError = ({ error, errorCode, errorDetails }) => reply({ error, errorCode, errorDetails });
+  
+  // Trust only what Chrome reports about the sender, never the page
+  const origin = getSenderOrigin(port.sender);
+  const respond = auditedResponder({ origin, channel: 'page', tabId: port.sender.tab?.id, method, params }, (result) => {
+    // A failed detection is a normal answer; other failures reject on the page
+    if (result.success === false && method !== 'detect') {
+      replyError(result.errorCode ? result : errorResponse(new Error(result.error)));
+    } else {
+      reply({ result });
+    }
+  });
+  
+  const allowed = await checkOriginAccess(origin, port.sender.tab?.id);
+  
+  if (!allowed) {
+    logger.warn(`🚫 Origin not allowed: ${origin}`);
+    respond(errorResponse(new BridgeError(ERROR_CODES.FORBIDDEN_ORIGIN,
+      `Origin not allowed to access AirNavX: ${origin}`, { details: { origin, method } })));
+    return;
+  }
+  
+  const handler = PAGE_HANDLERS[method];
+  if (!handler) {
+    respond(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+      `Unknown method: ${method}`, { details: { method } })));
+    return;
+  }
+  
+  logger.debug(`📨 Page request from ${origin}:`, { requestId, method });
+  
+  // Handlers see the page's cancellation and can report progress
+  const onProgress = (progress) => reply({ progress });
+  
+  await handler({ action: method, ...params, signal, onProgress }, respond);
+}
+
+/**
+ * Wrap a sendResponse so the call is written to the audit log as it answers
+ */
+function auditedResponder(context, sendResponse) {
+  const started = Date.now();
+  return (response) => {
+    try {
+      recordAuditEntry(buildAuditEntry(context, response, Date.now() - started));
+    } catch (error) {
+      logger.warn('⚠️ Could not record audit entry:', error);
+    }
+    sendResponse(response);
+  };
+}
+
+function getSenderOrigin(sender) {
+  if (sender.origin) {
+    return sender.origin;
+  }
+  return sender.url ? new URL(sender.url).origin : null;
+}
+
 /**
  * Action Handlers
  */
 async function handleDetect(request, sendResponse) {
   try {
-    const result = await detectAirNavX(request.forceRefresh || false);
+    const result = await withDetectionProgress(request.onProgress, () =>
+      untilAborted(detectAirNavX(request.forceRefresh || false), request.signal));
     
     if (result) {
       sendResponse({
         success: true,
         host: result.host,
         port: result.port,
+        version: result.version,
+        library: result.library,
+        instance: result.id,
+        instances: [...airnavxInstances.values()],
         message: `AirNavX detected at ${result.host}:${result.port}`
       });
     } else {
-      sendResponse({
-        success: false,
-        error: 'AirNavX not found. Please ensure it is running.',
-        searched_ports: AIRNAVX_CANDIDATE_PORTS
-      });
+      sendResponse(errorResponse(
+        new BridgeError(ERROR_CODES.NOT_DETECTED, 'AirNavX not found. Please ensure it is running.'),
+        { searched_ports: getSettings().candidatePorts }
+      ));
     }
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    sendResponse(errorResponse(error));
   }
 }
 
 async function handleSearch(request, sendResponse) {
   try {
-    const { query, page = 1 } = request;
+    const { query, instance, refresh = false, applicability = 'annotate', localFallback = true, signal } = request;
     
     if (!query) {
-      sendResponse({ success: false, error: 'Query parameter required' });
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Query parameter required')));
       return;
     }
     
-    const result = await fetchFromAirNavX('/airnavx/api/viewer/search', {
-      method: 'GET',
-      params: {
-        q: query,
-        page: page,
-        aggregationList: ['ata2', 'actype', 'customization', 'doctypebc'],
-        queryWithAggregation: 'false'
+    if (!APPLICABILITY_MODES.includes(applicability)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+        `applicability must be one of ${APPLICABILITY_MODES.join(', ')}`, { details: { applicability } })));
+      return;
+    }
+    
+    const spec = buildSearchSpec(request);
+    let result;
+    try {
+      result = shapeSearchResult(await searchCached(spec, instance, { refresh, signal }), spec);
+    } catch (error) {
+      const { code } = toBridgeError(error);
+      if (!localFallback || signal?.aborted || !LOCAL_FALLBACK_CODES.includes(code)) {
+        throw error;
       }
-    });
+      
+      logger.warn(`⚠️ AirNavX unavailable, searching the local index: ${error.message}`);
+      sendResponse(await searchLocalResponse(spec.query, { page: spec.page, instance, applicability }, error));
+      return;
+    }
     
-    sendResponse(result);
+    // Checked after the cache, so changing aircraft never needs a refetch
+    const aircraftContext = await getAircraftContext();
+    const checked = applyApplicabilityToResults(result.results, aircraftContext, applicability);
+    
+    sendResponse({ ...result, ...checked, aircraftContext, source: 'airnavx' });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Full-text search over the modules in the offline cache; works without AirNavX
+ */
+async function handleSearchLocal(request, sendResponse) {
+  try {
+    const { query, page, pageSize, instance, applicability = 'annotate' } = request;
+    
+    if (!query) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Query parameter required')));
+      return;
+    }
+    
+    if (!APPLICABILITY_MODES.includes(applicability)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+        `applicability must be one of ${APPLICABILITY_MODES.join(', ')}`, { details: { applicability } })));
+      return;
+    }
+    
+    sendResponse(await searchLocalResponse(String(query), { page, pageSize, instance, applicability }));
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Local index results shaped like `search` results. `offlineError` is why
+ * AirNavX was not asked, when this stands in for it.
+ */
+async function searchLocalResponse(query, { page, pageSize, instance, applicability }, offlineError = null) {
+  // Only an explicit selector narrows the search; otherwise every instance's modules count
+  const cacheInstance = instance === undefined || instance === null || instance === '' ? null : await cacheInstanceFor(instance);
+  const local = await searchLocalIndex(query, { page, pageSize, instance: cacheInstance });
+  
+  const aircraftContext = await getAircraftContext();
+  const checked = applyApplicabilityToResults(local.results, aircraftContext, applicability,
+    (item, context) => evaluateApplicability(item.applicability, context));
+  
+  return {
+    success: true,
+    source: 'local',
+    query,
+    ...local,
+    ...checked,
+    aggregations: {},
+    aircraftContext,
+    fromCache: true,
+    offline: offlineError ? serializeError(offlineError) : null
+  };
+}
+
+/**
+ * Normalise search options: friendly facet names map onto the AirNavX
+ * aggregation names, and facet values are always lists.
+ */
+function buildSearchSpec({ query, page = 1, filters = {}, sort = null, order = null, aggregations = false }) {
+  const normalizedFilters = {};
+  
+  for (const [name, value] of Object.entries(filters || {})) {
+    const facet = SEARCH_FACET_ALIASES[name] || name;
+    const values = [].concat(value).filter((item) => item !== undefined && item !== null && item !== '').map(String);
+    if (values.length) {
+      normalizedFilters[facet] = values;
+    }
+  }
+  
+  return {
+    query: String(query),
+    page: Math.max(1, parseInt(page, 10) || 1),
+    filters: normalizedFilters,
+    sort: sort || null,
+    order: order === 'asc' || order === 'desc' ? order : null,
+    aggregations: !!aggregations
+  };
+}
+
+async function searchAirNavX(spec, instance, signal = null, priority = 'interactive') {
+  const params = {
+    q: spec.query,
+    page: spec.page,
+    aggregationList: getSettings().searchAggregations,
+    queryWithAggregation: spec.aggregations ? 'true' : 'false'
+  };
+  
+  // Facet filters travel as query parameters named after their aggregation
+  for (const [facet, values] of Object.entries(spec.filters)) {
+    params[facet] = values.join(',');
+  }
+  
+  if (spec.sort) {
+    params.sort = spec.sort;
+  }
+  if (spec.order) {
+    params.order = spec.order;
+  }
+  
+  return fetchFromAirNavX('/airnavx/api/viewer/search', {
+    method: 'GET',
+    params,
+    instance,
+    signal,
+    priority
+  });
+}
+
+/**
+ * Stale-while-revalidate search: a cached answer is returned at once and
+ * refreshed in the background once it is past the freshness window.
+ */
+async function searchCached(spec, instanceSelector, { refresh = false, signal = null } = {}) {
+  const cacheInstance = await cacheInstanceFor(instanceSelector);
+  const key = searchCacheKey(cacheInstance, spec.query, spec.page, JSON.stringify({
+    filters: spec.filters,
+    sort: spec.sort,
+    order: spec.order,
+    aggregations: spec.aggregations,
+    aggregationList: getSettings().searchAggregations
+  }));
+  const cached = await getCachedSearch(key).catch(() => null);
+  
+  if (cached && !refresh) {
+    if (isStale(cached)) {
+      revalidate(`search|${key}`, async () => {
+        await putCachedSearch(key, await searchAirNavX(spec, instanceSelector, null, 'background'));
+      });
+    }
+    return cachedResult(cached);
+  }
+  
+  try {
+    const result = await searchAirNavX(spec, instanceSelector, signal);
+    const { fetchedAt } = await putCachedSearch(key, result)
+      .catch(() => ({ fetchedAt: Date.now() }));
+    return { ...result, fromCache: false, fetchedAt };
     
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    if (cached && !signal?.aborted) {
+      logger.warn(`⚠️ Search failed, serving cached results: ${error.message}`);
+      return cachedResult(cached);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add normalised results, total and aggregation buckets next to the raw data.
+ * Results that carry a filtered facet are also filtered here, in case the
+ * AirNavX build ignores the filter parameters.
+ */
+function shapeSearchResult(result, spec) {
+  const data = result.data && typeof result.data === 'object' ? result.data : {};
+  let results = Array.isArray(data.results) ? data.results : [];
+  
+  const facets = Object.entries(spec.filters);
+  if (facets.length) {
+    results = results.filter((item) => facets.every(([facet, values]) => {
+      const itemValue = item?.[facet];
+      if (itemValue === undefined || itemValue === null) {
+        return true;
+      }
+      return [].concat(itemValue).some((value) => values.includes(String(value)));
+    }));
+  }
+  
+  const total = ['total', 'totalResults', 'totalCount', 'nbResults']
+    .map((key) => data[key])
+    .find((value) => typeof value === 'number');
+  
+  return {
+    ...result,
+    page: spec.page,
+    results,
+    total: total ?? null,
+    aggregations: normalizeAggregations(data.aggregations)
+  };
+}
+
+/**
+ * Aggregations arrive as { name: [buckets] }, { name: { buckets } } or
+ * [{ name, buckets }]; buckets become { key, count }.
+ */
+function normalizeAggregations(raw) {
+  const normalized = {};
+  if (!raw || typeof raw !== 'object') {
+    return normalized;
+  }
+  
+  const entries = Array.isArray(raw)
+    ? raw.map((aggregation) => [aggregation.name || aggregation.field, aggregation])
+    : Object.entries(raw);
+  
+  for (const [name, aggregation] of entries) {
+    const buckets = Array.isArray(aggregation) ? aggregation : aggregation?.buckets || aggregation?.values;
+    if (!name || !Array.isArray(buckets)) {
+      continue;
+    }
+    
+    normalized[name] = buckets.map((bucket) => ({
+      key: String(bucket.key ?? bucket.value ?? bucket.name ?? ''),
+      count: bucket.count ?? bucket.doc_count ?? bucket.docCount ?? null
+    }));
   }
+  
+  return normalized;
 }
 
 async function handleFetchContent(request, sendResponse) {
   try {
-    const { dataModuleId } = request;
+    const { dataModuleId, instance, parse = false, refresh = false, signal, onProgress } = request;
     
     if (!dataModuleId) {
-      sendResponse({ success: false, error: 'dataModuleId required' });
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleId required')));
       return;
     }
     
-    const result = await fetchFromAirNavX('/airnavx/api/dataModule/content', {
-      method: 'POST',
-      params: {
-        dataModuleId: dataModuleId,
-        forHatch: 'false',
-        forPrint: 'false'
-      },
-      body: {},
-      timeout: 30000
-    });
+    const result = await fetchContentCached(dataModuleId, instance, { refresh, signal, onProgress });
+    
+    if (parse) {
+      attachParsed(result, dataModuleId, await getAircraftContext());
+    }
     
     sendResponse(result);
     
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    sendResponse(errorResponse(error));
   }
 }
 
-async function handleCustomFetch(request, sendResponse) {
+/**
+ * The raw payload stays in `data`; the normalised model goes alongside,
+ * with its applicability checked against the aircraft context
+ */
+function attachParsed(result, dataModuleId, aircraftContext = null) {
+  try {
+    result.parsed = parseDataModule(result.data, { dataModuleId });
+    result.applicabilityCheck = evaluateApplicability(result.parsed.applicability, aircraftContext);
+  } catch (error) {
+    logger.warn(`⚠️ Could not parse ${dataModuleId}:`, error);
+    result.parsed = null;
+    result.parseError = serializeError(new BridgeError(ERROR_CODES.PARSE_ERROR, error.message, {
+      details: { dataModuleId }
+    }));
+  }
+  return result;
+}
+
+/**
+ * Fetch a work package of modules through a bounded queue. Repeated IDs
+ * are fetched once; each module's outcome is streamed as progress while
+ * the rest are still loading.
+ */
+async function handleFetchContentBatch(request, sendResponse) {
   try {
-    const { endpoint, method, params, body } = request;
+    const { dataModuleIds, instance, parse = false, refresh = false, signal, onProgress } = request;
     
-    if (!endpoint) {
-      sendResponse({ success: false, error: 'endpoint required' });
+    if (!Array.isArray(dataModuleIds) || !dataModuleIds.length) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleIds required')));
       return;
     }
     
-    const result = await fetchFromAirNavX(endpoint, {
-      method: method || 'GET',
-      params: params || {},
-      body: body || null
+    const ids = [...new Set(dataModuleIds.map((id) => String(id).trim()).filter(Boolean))];
+    if (ids.length > BATCH_MAX_ITEMS) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+        `At most ${BATCH_MAX_ITEMS} modules per batch`, { details: { count: ids.length } })));
+      return;
+    }
+    
+    const concurrency = Math.min(Math.max(parseInt(request.concurrency, 10) || BATCH_DEFAULT_CONCURRENCY, 1), BATCH_MAX_CONCURRENCY);
+    const aircraftContext = parse ? await getAircraftContext() : null;
+    
+    // Resolve the instance once rather than once per module; without one,
+    // only cached copies can be served and nothing is re-detected per item
+    const airnavx = await untilAborted(resolveInstance(instance), signal).catch(() => null);
+    const unavailable = airnavx ? null : new BridgeError(ERROR_CODES.NOT_DETECTED, instance
+      ? `No AirNavX instance matches "${instance}"`
+      : 'AirNavX not detected. Please ensure AirNavX is running.');
+    
+    const items = [];
+    let done = 0;
+    
+    await runWithConcurrency(ids, concurrency, signal, async (dataModuleId) => {
+      let item;
+      try {
+        const result = unavailable
+          ? await cachedContentOr(dataModuleId, unavailable)
+          : await fetchContentCached(dataModuleId, airnavx.id, { refresh, signal, priority: 'background' });
+        item = { dataModuleId, success: true, result: parse ? attachParsed(result, dataModuleId, aircraftContext) : result };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        item = { dataModuleId, success: false, error: serializeError(error) };
+      }
+      
+      items.push(item);
+      done++;
+      onProgress?.({ stage: 'item', done, total: ids.length, item });
     });
     
-    sendResponse(result);
+    // Report in request order, not completion order
+    const byId = new Map(items.map((item) => [item.dataModuleId, item]));
+    const ordered = ids.map((id) => byId.get(id));
+    const failed = ordered.filter((item) => !item.success);
+    
+    logger.info(`📦 Batch fetched ${ordered.length - failed.length}/${ids.length} modules`);
+    
+    sendResponse({
+      success: true,
+      total: ids.length,
+      succeeded: ordered.length - failed.length,
+      failed: failed.map(({ dataModuleId, error }) => ({ dataModuleId, error: error.message, code: error.code })),
+      duplicatesRemoved: dataModuleIds.length - ids.length,
+      items: ordered
+    });
     
   } catch (error) {
-    sendResponse({ success: false, error: error.message });
+    sendResponse(errorResponse(error));
   }
 }
 
-async function handleGetStatus(request, sendResponse) {
-  const status = {
-    detected: detectedAirNavX !== null,
-    host: detectedAirNavX?.host || null,
-    port: detectedAirNavX?.port || null,
-    lastCheck: lastDetectionTime,
-    cacheExpiry: lastDetectionTime ? lastDetectionTime + CACHE_DURATION : null
-  };
-  
-  sendResponse({ success: true, status: status });
+/**
+ * Follow the references in a module, breadth first, up to `depth` hops.
+ * Modules are fetched once each, so cycles end at a module already seen;
+ * references are followed by code, and a fetched module's own dmCode is
+ * recorded as an alias so task-code and dmCode references meet in one node.
+ */
+async function handleResolveReferences(request, sendResponse) {
+  try {
+    const { dataModuleId, instance, refresh = false, signal, onProgress } = request;
+    
+    if (!dataModuleId) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleId required')));
+      return;
+    }
+    
+    const depth = Math.min(Math.max(parseInt(request.depth ?? 1, 10) || 0, 0), REFERENCE_MAX_DEPTH);
+    const maxNodes = Math.min(Math.max(parseInt(request.maxNodes, 10) || REFERENCE_DEFAULT_MAX_NODES, 1), REFERENCE_MAX_NODES);
+    const includeExternal = !!request.includeExternal;
+    
+    const nodes = new Map(); // id -> node
+    const aliases = new Map(); // dmCode / task code -> node id
+    const edges = [];
+    let truncated = false;
+    
+    const nodeFor = (code) => nodes.get(aliases.get(code) || code);
+    const addNode = (id, level, type = 'dm') => {
+      const node = { id, type, level, status: 'pending', title: null, dmCode: null, fromCache: null, error: null };
+      nodes.set(id, node);
+      aliases.set(id, id);
+      return node;
+    };
+    
+    let frontier = [addNode(String(dataModuleId), 0)];
+    
+    for (let level = 0; frontier.length; level++) {
+      const next = [];
+      
+      await runWithConcurrency(frontier, BATCH_DEFAULT_CONCURRENCY, signal, async (node) => {
+        const references = await resolveReferenceNode(node, instance, { refresh, signal, root: level === 0 });
+        if (node.dmCode && !aliases.has(node.dmCode)) {
+          aliases.set(node.dmCode, node.id);
+        }
+        
+        for (const ref of references) {
+          if (ref.type === 'external' && !includeExternal) {
+            continue;
+          }
+          
+          let target = nodeFor(ref.code);
+          if (!target) {
+            if (nodes.size >= maxNodes) {
+              truncated = true;
+              continue;
+            }
+            target = addNode(ref.code, level + 1, ref.type);
+            target.title = ref.title;
+            
+            // External publications are leaves; the rest wait for the next hop
+            if (ref.type === 'external') {
+              target.status = 'external';
+            } else if (level + 1 <= depth) {
+              next.push(target);
+            } else {
+              target.status = 'unexpanded';
+            }
+          }
+          
+          edges.push({ from: node.id, to: target.id, type: ref.type, context: ref.context ?? null });
+        }
+        
+        onProgress?.({ stage: 'resolve', level, resolved: [...nodes.values()].filter((item) => item.status === 'resolved').length, discovered: nodes.size });
+      });
+      
+      frontier = next;
+    }
+    
+    const nodeList = [...nodes.values()];
+    sendResponse({
+      success: true,
+      root: String(dataModuleId),
+      depth,
+      nodes: nodeList,
+      edges: dedupeEdges(edges),
+      truncated,
+      stats: {
+        resolved: nodeList.filter((node) => node.status === 'resolved').length,
+        failed: nodeList.filter((node) => node.status === 'failed').length,
+        unexpanded: nodeList.filter((node) => node.status === 'unexpanded').length
+      }
+    });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
 }
 
 /**
- * On install/startup
+ * Fetch and parse one graph node; a module that cannot be fetched becomes a
+ * failed node rather than failing the whole graph (except for the root)
  */
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('🚀 AirNavX Bridge installed');
-  
-  // Try to detect AirNavX on install
-  await detectAirNavX(true);
-});
+async function resolveReferenceNode(node, instance, { refresh, signal, root }) {
+  try {
+    const result = await fetchContentCached(node.id, instance, {
+      refresh,
+      signal,
+      priority: root ? 'interactive' : 'normal'
+    });
+    const parsed = parseDataModule(result.data, { dataModuleId: node.id });
+    
+    node.status = 'resolved';
+    node.title = parsed.title || node.title;
+    node.dmCode = parsed.dmCode;
+    node.fromCache = result.fromCache;
+    return parsed.references;
+    
+  } catch (error) {
+    if (root || signal?.aborted) {
+      throw error;
+    }
+    
+    node.status = 'failed';
+    node.error = serializeError(error);
+    return [];
+  }
+}
 
-chrome.runtime.onStartup.addListener(async () => {
-  console.log('🚀 AirNavX Bridge started');
-  await detectAirNavX(true);
-});
+function dedupeEdges(edges) {
+  const seen = new Set();
+  return edges.filter((edge) => {
+    const key = `${edge.from}>${edge.to}>${edge.context}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
 
-// Periodic detection refresh (every 5 minutes)
-setInterval(async () => {
-  await detectAirNavX(true);
-}, 5 * 60 * 1000);
\ No newline at end of file
+/**
+ * Build a task card package (HTML, CSV or JSON) from one module or a work
+ * package. Modules that cannot be fetched or parsed are listed as failed
+ * rather than failing the export; with none left, the export fails.
+ */
+async function handleExportTaskCard(request, sendResponse) {
+  try {
+    const { instance, format = 'html', forPrint = false, refresh = false, signal, onProgress } = request;
+    const ids = [...new Set([].concat(request.dataModuleIds ?? []).map((id) => String(id).trim()).filter(Boolean))];
+    
+    if (!ids.length) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleIds required')));
+      return;
+    }
+    if (ids.length > BATCH_MAX_ITEMS) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+        `At most ${BATCH_MAX_ITEMS} modules per export`, { details: { count: ids.length } })));
+      return;
+    }
+    
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT,
+        `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`, { details: { format } })));
+      return;
+    }
+    
+    const concurrency = Math.min(Math.max(parseInt(request.concurrency, 10) || BATCH_DEFAULT_CONCURRENCY, 1), BATCH_MAX_CONCURRENCY);
+    const aircraftContext = await getAircraftContext();
+    const entries = new Map();
+    const failed = [];
+    let done = 0;
+    
+    await runWithConcurrency(ids, concurrency, signal, async (dataModuleId) => {
+      try {
+        const result = forPrint
+          ? await fetchPrintContent(dataModuleId, instance, { signal })
+          : await fetchContentCached(dataModuleId, instance, { refresh, signal, priority: 'normal' });
+        attachParsed(result, dataModuleId, aircraftContext);
+        
+        if (result.parsed) {
+          entries.set(dataModuleId, {
+            dataModuleId,
+            parsed: result.parsed,
+            revision: result.revision ?? null,
+            fetchedAt: result.fetchedAt ?? null,
+            fromCache: !!result.fromCache,
+            printVariant: !!result.printVariant,
+            applicabilityCheck: result.applicabilityCheck
+          });
+        } else {
+          failed.push({ dataModuleId, error: result.parseError.message, code: result.parseError.code });
+        }
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        const { code, message } = toBridgeError(error);
+        failed.push({ dataModuleId, error: message, code });
+      }
+      
+      onProgress?.({ stage: 'export', done: ++done, total: ids.length, dataModuleId });
+    });
+    
+    if (!entries.size) {
+      throw new BridgeError(failed[0]?.code || ERROR_CODES.INTERNAL, 'None of the modules could be exported', {
+        details: { failed }
+      });
+    }
+    
+    // Cards follow the order the modules were asked for
+    const ordered = ids.filter((id) => entries.has(id)).map((id) => entries.get(id));
+    const generatedAt = Date.now();
+    const title = request.title || (ordered.length === 1 ? ordered[0].parsed.title || ordered[0].dataModuleId : `Work package (${ordered.length} tasks)`);
+    const stamp = new Date(generatedAt).toISOString().slice(0, 10);
+    const baseName = ordered.length === 1 ? ordered[0].dataModuleId : `work-package-${stamp}`;
+    
+    sendResponse({
+      success: true,
+      format,
+      mimeType: exporter.mimeType,
+      filename: `${baseName.replace(/[^A-Za-z0-9._-]+/g, '_')}.${exporter.extension}`,
+      content: exporter.build(ordered, { title, generatedAt, aircraftContext, failed }),
+      modules: ordered.map((entry) => entry.dataModuleId),
+      failed
+    });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Compare the current AirNavX content of a module with an earlier revision.
+ * `against` is a cached revision ('previous', the default, is the newest
+ * cached one that differs), or { data } / { parsed } the caller kept.
+ */
+async function handleDiffContent(request, sendResponse) {
+  try {
+    const { dataModuleId, instance, against = 'previous', signal, onProgress } = request;
+    
+    if (!dataModuleId) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleId required')));
+      return;
+    }
+    
+    // Revisions already cached, read before the fetch below stores the current one
+    const cacheInstance = await cacheInstanceFor(instance);
+    const cachedRevisions = typeof against === 'string'
+      ? await getCachedRevisions(cacheInstance, dataModuleId).catch(() => [])
+      : [];
+    
+    const current = await fetchContentCached(dataModuleId, instance, { refresh: true, signal, onProgress });
+    const after = parseForDiff(current.data, dataModuleId);
+    const baseline = resolveDiffBaseline(against, cachedRevisions, current, dataModuleId);
+    
+    sendResponse({
+      success: true,
+      dataModuleId,
+      current: { revision: current.revision, fetchedAt: current.fetchedAt, fromCache: current.fromCache },
+      against: { revision: baseline.revision, fetchedAt: baseline.fetchedAt, source: baseline.source },
+      ...diffParsedModules(baseline.parsed, after)
+    });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+function resolveDiffBaseline(against, cachedRevisions, current, dataModuleId) {
+  if (against && typeof against === 'object') {
+    const parsed = against.parsed || (against.data !== undefined ? parseForDiff(against.data, dataModuleId) : null);
+    if (!Array.isArray(parsed?.steps)) {
+      throw new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'against must be a revision, or an object with data or parsed content');
+    }
+    const revision = against.revision ?? (against.data !== undefined ? contentRevision(against.data) : parsed.issue?.number ?? null);
+    return { parsed, revision, fetchedAt: against.fetchedAt ?? null, source: 'caller' };
+  }
+  
+  if (typeof against !== 'string' || !against) {
+    throw new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'against must be a revision, or an object with data or parsed content');
+  }
+  
+  // The current revision may have been cached already; it is not an earlier one
+  const record = against === 'previous'
+    ? cachedRevisions.find((candidate) => candidate.revision !== current.revision)
+    : cachedRevisions.find((candidate) => candidate.revision === against)
+      || (against === current.revision ? { data: current.data, revision: current.revision, fetchedAt: current.fetchedAt } : null);
+  
+  if (!record) {
+    throw new BridgeError(ERROR_CODES.MODULE_NOT_FOUND, against === 'previous'
+      ? `No earlier revision of ${dataModuleId} is cached`
+      : `Revision ${against} of ${dataModuleId} is not cached`, {
+      details: { dataModuleId, against, cachedRevisions: cachedRevisions.map((candidate) => candidate.revision) }
+    });
+  }
+  
+  return { parsed: parseForDiff(record.data, dataModuleId), revision: record.revision, fetchedAt: record.fetchedAt, source: 'cache' };
+}
+
+function parseForDiff(data, dataModuleId) {
+  try {
+    return parseDataModule(data, { dataModuleId });
+  } catch (error) {
+    throw new BridgeError(ERROR_CODES.PARSE_ERROR, error.message, { details: { dataModuleId } });
+  }
+}
+
+/**
+ * Latest known revision of each module, for the popup's favourites. Cached
+ * copies answer straight away and are revalidated in the background when
+ * stale, so a new revision shows up on a later check.
+ */
+async function handleCheckRevisions(request, sendResponse) {
+  try {
+    const ids = [...new Set([].concat(request.dataModuleIds ?? []).map(String))].slice(0, BATCH_MAX_ITEMS);
+    const revisions = {};
+    
+    await runWithConcurrency(ids, BATCH_DEFAULT_CONCURRENCY, null, async (dataModuleId) => {
+      try {
+        const result = await fetchContentCached(dataModuleId, request.instance, { priority: 'background' });
+        revisions[dataModuleId] = result.revision ?? null;
+      } catch (error) {
+        revisions[dataModuleId] = null;
+      }
+    });
+    
+    sendResponse({ success: true, revisions });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * The AirNavX print layout of a module. Builds without one get the normal
+ * content instead, with printVariant false. Print layouts are not cached.
+ */
+async function fetchPrintContent(dataModuleId, instanceSelector, { signal = null } = {}) {
+  try {
+    const result = await fetchWithFallbacks(RESOURCE_KINDS.printContent, dataModuleId, instanceSelector, { signal, priority: 'normal' });
+    return { ...result, success: true, fromCache: false, fetchedAt: Date.now(), revision: contentRevision(result.data), printVariant: true };
+    
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    logger.warn(`⚠️ No print layout for ${dataModuleId}, exporting the normal content: ${error.message}`);
+    const result = await fetchContentCached(dataModuleId, instanceSelector, { signal, priority: 'normal' });
+    return { ...result, printVariant: false };
+  }
+}
+
+async function cachedContentOr(dataModuleId, error) {
+  const cached = await getCachedModule(null, dataModuleId).catch(() => null);
+  if (!cached) {
+    throw error;
+  }
+  return cachedResult(cached);
+}
+
+/**
+ * Run task(item) over items with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, signal, task) {
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      if (signal?.aborted) {
+        throw cancellationError(signal);
+      }
+      await task(items[next++]);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Stale-while-revalidate content fetch. When AirNavX cannot be reached,
+ * the newest cached copy from any instance is served instead.
+ */
+async function fetchContentCached(dataModuleId, instanceSelector, { refresh = false, signal = null, onProgress = null, priority = 'interactive' } = {}) {
+  const cacheInstance = await cacheInstanceFor(instanceSelector);
+  const cached = await getCachedModule(cacheInstance, dataModuleId).catch(() => null);
+  
+  // Background refreshes run at low priority, without the caller's signal or progress
+  const fetchAndStore = async (options = { priority: 'background' }) => {
+    const result = await fetchWithFallbacks(RESOURCE_KINDS.content, dataModuleId, instanceSelector, options);
+    const stored = await putCachedModule(result.instance, dataModuleId, result)
+      .catch((error) => {
+        logger.warn('⚠️ Could not cache content:', error);
+        return { fetchedAt: Date.now(), revision: null };
+      });
+    if (stored.revision !== null) {
+      indexCachedModule(result.instance, dataModuleId, result.data, stored.revision)
+        .catch((error) => logger.warn('⚠️ Could not index content:', error));
+    }
+    return { ...result, fromCache: false, fetchedAt: stored.fetchedAt, revision: stored.revision };
+  };
+  
+  if (cached && !refresh) {
+    if (isStale(cached)) {
+      revalidate(`module|${cached.moduleKey}`, () => fetchAndStore());
+    }
+    return cachedResult(cached);
+  }
+  
+  try {
+    return await fetchAndStore({ signal, onProgress, priority });
+    
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    const fallback = cached || await getCachedModule(null, dataModuleId).catch(() => null);
+    if (fallback) {
+      logger.warn(`⚠️ Content fetch failed, serving cached copy of ${dataModuleId}: ${error.message}`);
+      return cachedResult(fallback);
+    }
+    throw error;
+  }
+}
+
+function cachedResult(record) {
+  return {
+    success: true,
+    data: record.data,
+    host: record.host,
+    port: record.port,
+    instance: record.instance,
+    method: record.method,
+    revision: record.revision,
+    byteLength: record.byteLength ?? record.size,
+    fromCache: true,
+    stale: isStale(record),
+    fetchedAt: record.fetchedAt
+  };
+}
+
+/**
+ * Instance id to look up in the cache, decided without touching the network
+ */
+async function cacheInstanceFor(selector) {
+  if (selector === undefined || selector === null || selector === '') {
+    if (detectedAirNavX) {
+      return detectedAirNavX.id;
+    }
+    const preferred = await getPreferredEndpoint();
+    return preferred ? instanceId(preferred) : null;
+  }
+  
+  const wanted = String(selector).toLowerCase();
+  const match = [...airnavxInstances.values()].find((instance) => instance.id === wanted ||
+    String(instance.port) === wanted ||
+    (instance.library && instance.library.toLowerCase() === wanted));
+  
+  return match ? match.id : null;
+}
+
+/**
+ * Run a background refresh once per key at a time
+ */
+function revalidate(key, task) {
+  if (revalidationsInFlight.has(key)) {
+    return;
+  }
+  
+  revalidationsInFlight.add(key);
+  task()
+    .catch((error) => logger.debug(`⚠️ Background refresh failed for ${key}:`, error.message))
+    .finally(() => revalidationsInFlight.delete(key));
+}
+
+async function handlePinModules(request, sendResponse) {
+  try {
+    const { dataModuleIds, instance, signal, onProgress } = request;
+    
+    if (!Array.isArray(dataModuleIds) || !dataModuleIds.length) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleIds required')));
+      return;
+    }
+    
+    const pinned = [];
+    const failed = [];
+    
+    // Make sure each module is cached before pinning it
+    for (const dataModuleId of dataModuleIds) {
+      if (signal?.aborted) {
+        throw cancellationError(signal);
+      }
+      
+      try {
+        // Only the instance the copy came from; the same ID elsewhere may be another aircraft's
+        const result = await fetchContentCached(dataModuleId, instance, { signal, priority: 'background' });
+        await setModulesPinned(result.instance, [dataModuleId], true);
+        pinned.push(dataModuleId);
+      } catch (error) {
+        failed.push({ dataModuleId, error: error.message, code: toBridgeError(error).code });
+      }
+      
+      onProgress?.({ stage: 'pin', done: pinned.length + failed.length, total: dataModuleIds.length, dataModuleId });
+    }
+    
+    sendResponse({ success: true, pinned, failed });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function handleUnpinModules(request, sendResponse) {
+  try {
+    const { dataModuleIds, instance } = request;
+    
+    if (!Array.isArray(dataModuleIds)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'dataModuleIds required')));
+      return;
+    }
+    
+    // Without a selector, every instance's copy is unpinned
+    const selected = instance !== undefined && instance !== null && instance !== '';
+    const cacheInstance = selected ? await cacheInstanceFor(instance) : null;
+    if (selected && !cacheInstance) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.NOT_DETECTED, `No AirNavX instance matches "${instance}"`, {
+        details: { instance }
+      })));
+      return;
+    }
+    
+    await setModulesPinned(cacheInstance, dataModuleIds, false);
+    sendResponse({ success: true, unpinned: dataModuleIds });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function handleClearCache(request, sendResponse) {
+  try {
+    const removed = await clearContentCache({ includePinned: !!request.includePinned });
+    logger.info(`🧹 Cleared ${removed} cache entries`);
+    sendResponse({ success: true, removed });
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function handleGetCacheStats(request, sendResponse) {
+  try {
+    sendResponse({ success: true, stats: await getCacheStats() });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Fetch a resource, starting with the endpoint variant that last worked for
+ * this instance and AirNavX version; the other variants are only probed
+ * when it fails, and whichever succeeds is remembered for next time.
+ */
+async function fetchWithFallbacks(kind, id, instanceSelector, { signal = null, onProgress = null, priority = 'interactive' } = {}) {
+  const airnavx = await resolveInstance(instanceSelector);
+  if (!airnavx) {
+    throw new BridgeError(ERROR_CODES.NOT_DETECTED, instanceSelector
+      ? `No AirNavX instance matches "${instanceSelector}"`
+      : 'AirNavX not available',
+    { details: { instance: instanceSelector ?? null } });
+  }
+  
+  const endpointKey = `${airnavx.id}@${airnavx.version || 'unknown'}`;
+  const learned = await getLearnedVariant(kind, endpointKey);
+  const variants = learned
+    ? [learned, ...kind.variants.filter((variant) => variant !== learned)]
+    : kind.variants;
+  
+  const attempts = [];
+  
+  for (let i = 0; i < variants.length; i++) {
+    const variant = variants[i];
+    logger.debug(`📡 Attempt ${i + 1}/${variants.length}: ${variant.name}${variant === learned ? ' (learned)' : ''}`);
+    onProgress?.({ stage: 'attempt', attempt: i + 1, of: variants.length, variant: variant.name });
+    
+    try {
+      const result = await fetchFromAirNavX(variant.endpoint(id), {
+        method: variant.method,
+        params: variant.params(id),
+        body: variant.body ? variant.body(id) : null,
+        timeout: CONTENT_ATTEMPT_TIMEOUT,
+        instance: airnavx.id,
+        signal,
+        priority,
+        responseType: kind.responseType,
+        // Only the known-good variant is worth retrying; the others are probes
+        retries: variant === learned ? undefined : 0
+      });
+      
+      if (variant !== learned) {
+        await setLearnedVariant(kind, endpointKey, variant);
+      }
+      
+      return { ...result, method: variant.name, attempts: i + 1 };
+      
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      
+      logger.warn(`⚠️ ${variant.name} failed: ${error.message}`);
+      const { code, status, retryable } = toBridgeError(error);
+      attempts.push({ variant: variant.name, code, status, retryable, message: error.message });
+    }
+  }
+  
+  throw fallbackFailure(kind, id, attempts);
+}
+
+/**
+ * Summarise failed attempts. When every variant got a 4xx answer (or a page
+ * that is not the resource), AirNavX was reachable and simply does not have it.
+ */
+function fallbackFailure(kind, id, attempts) {
+  const notFound = attempts.length > 0 && attempts.every((attempt) => attempt.code === ERROR_CODES.PARSE_ERROR ||
+    (attempt.code === ERROR_CODES.HTTP_ERROR && attempt.status >= 400 && attempt.status < 500));
+  
+  if (notFound) {
+    return new BridgeError(kind.notFoundCode, `${kind.label} not found: ${id}`, {
+      attempts,
+      details: { [kind.idField]: id }
+    });
+  }
+  
+  const last = attempts[attempts.length - 1];
+  return new BridgeError(last?.code || ERROR_CODES.INTERNAL,
+    `Failed to fetch ${kind.label.toLowerCase()} after ${attempts.length} attempts`, {
+      status: last?.status ?? null,
+      attempts,
+      details: { [kind.idField]: id },
+      retryable: attempts.some((attempt) => attempt.retryable)
+    });
+}
+
+async function getLearnedVariant(kind, endpointKey) {
+  const stored = await chrome.storage.local.get(kind.learnedKey);
+  const name = stored[kind.learnedKey]?.[endpointKey];
+  return kind.variants.find((variant) => variant.name === name) || null;
+}
+
+async function setLearnedVariant(kind, endpointKey, variant) {
+  const stored = await chrome.storage.local.get(kind.learnedKey);
+  const learned = stored[kind.learnedKey] || {};
+  learned[endpointKey] = variant.name;
+  await chrome.storage.local.set({ [kind.learnedKey]: learned });
+  
+  logger.info(`🧠 ${kind.label} endpoint for ${endpointKey}: ${variant.name}`);
+}
+
+/**
+ * Fetch an ICN graphic. An ICN identifies one issue of a graphic, so a
+ * cached copy is served as-is; AirNavX is only asked on a miss or refresh.
+ */
+async function handleFetchGraphic(request, sendResponse) {
+  try {
+    const { icnId, instance, refresh = false, signal, onProgress } = request;
+    
+    if (typeof icnId !== 'string' || !ICN_PATTERN.test(icnId.trim())) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'icnId required (letters, digits, ".", "_" and "-")')));
+      return;
+    }
+    
+    sendResponse(await fetchGraphicCached(icnId.trim(), instance, { refresh, signal, onProgress }));
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function fetchGraphicCached(icnId, instanceSelector, { refresh = false, signal = null, onProgress = null } = {}) {
+  const cacheInstance = await cacheInstanceFor(instanceSelector);
+  const cached = await getCachedGraphic(cacheInstance, icnId).catch(() => null);
+  
+  if (cached && !refresh) {
+    return cachedGraphicResult(cached);
+  }
+  
+  try {
+    const result = await fetchWithFallbacks(RESOURCE_KINDS.graphic, icnId, instanceSelector, { signal, onProgress });
+    const { fetchedAt } = await putCachedGraphic(result.instance, icnId, result)
+      .catch((error) => {
+        logger.warn('⚠️ Could not cache graphic:', error);
+        return { fetchedAt: Date.now() };
+      });
+    return { ...result, icnId, fromCache: false, fetchedAt };
+    
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    const fallback = cached || await getCachedGraphic(null, icnId).catch(() => null);
+    if (fallback) {
+      logger.warn(`⚠️ Graphic fetch failed, serving cached copy of ${icnId}: ${error.message}`);
+      return cachedGraphicResult(fallback);
+    }
+    throw error;
+  }
+}
+
+function cachedGraphicResult(record) {
+  return {
+    success: true,
+    icnId: record.icnId,
+    data: record.data,
+    mimeType: record.mimeType,
+    byteLength: record.byteLength,
+    host: record.host,
+    port: record.port,
+    instance: record.instance,
+    method: record.method,
+    fromCache: true,
+    fetchedAt: record.fetchedAt
+  };
+}
+
+/**
+ * MIME type of a graphic: the server's, unless it is generic, then sniffed
+ * from the leading bytes. Null when the payload is not a graphic.
+ */
+function graphicMimeType(contentType, bytes) {
+  const declared = contentType.split(';')[0].trim().toLowerCase();
+  if (declared.startsWith('image/') || declared === 'application/cgm') {
+    return declared;
+  }
+  
+  const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+  
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+  if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+  if (startsWith(0x49, 0x49, 0x2a, 0x00) || startsWith(0x4d, 0x4d, 0x00, 0x2a)) return 'image/tiff';
+  
+  // Binary CGM opens with a BEGIN METAFILE command (class 0, id 1)
+  if (bytes[0] === 0x00 && (bytes[1] & 0xe0) === 0x20) return 'image/cgm';
+  
+  const head = new TextDecoder().decode(bytes.subarray(0, 512)).trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  if (/^BEGMF/i.test(head)) return 'image/cgm'; // clear-text CGM
+  
+  return declared === 'application/octet-stream' ? 'application/octet-stream' : null;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+async function handleCustomFetch(request, sendResponse) {
+  try {
+    const { endpoint, method, params, body, instance, signal } = request;
+    
+    if (!endpoint) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'endpoint required')));
+      return;
+    }
+    
+    // Only relative AirNavX API paths; never let a caller point us elsewhere
+    if (typeof endpoint !== 'string' || !endpoint.startsWith('/airnavx/') || endpoint.includes('..')) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'endpoint must be an AirNavX path starting with /airnavx/')));
+      return;
+    }
+    
+    const upperMethod = (method || 'GET').toUpperCase();
+    if (!['GET', 'POST', 'PUT'].includes(upperMethod)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, `Unsupported method: ${method}`)));
+      return;
+    }
+    
+    const result = await fetchFromAirNavX(endpoint, {
+      method: upperMethod,
+      params: params || {},
+      body: body || null,
+      instance,
+      signal
+    });
+    
+    sendResponse(result);
+    
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function handleGetStatus(request, sendResponse) {
+  const status = {
+    detected: detectedAirNavX !== null,
+    host: detectedAirNavX?.host || null,
+    port: detectedAirNavX?.port || null,
+    version: detectedAirNavX?.version || null,
+    library: detectedAirNavX?.library || null,
+    aircraftTypes: detectedAirNavX?.aircraftTypes || [],
+    instance: detectedAirNavX?.id || null,
+    instances: [...airnavxInstances.values()],
+    lastCheck: lastDetectionTime,
+    cacheExpiry: lastDetectionTime ? lastDetectionTime + getSettings().cacheDuration : null,
+    queue: getSchedulerStats()
+  };
+  
+  sendResponse({ success: true, status: status });
+}
+
+async function handleListInstances(request, sendResponse) {
+  try {
+    const instances = await withDetectionProgress(request.onProgress, () =>
+      untilAborted(listInstances(request.forceRefresh || false), request.signal));
+    sendResponse({
+      success: true,
+      instances,
+      defaultInstance: detectedAirNavX?.id || null
+    });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+async function handleSetDefaultInstance(request, sendResponse) {
+  try {
+    const { instanceId } = request;
+    
+    if (!airnavxInstances.has(instanceId)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, `Unknown instance: ${instanceId}`)));
+      return;
+    }
+    
+    await chrome.storage.local.set({ [DEFAULT_INSTANCE_KEY]: instanceId });
+    const result = await detectAirNavX(true);
+    
+    sendResponse({ success: true, defaultInstance: result?.id || null });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Aircraft context
+ *
+ * The aircraft being worked on lives in chrome.storage.session: shared by
+ * every tab and the popup, and forgotten when the browser closes.
+ */
+async function getAircraftContext() {
+  const stored = await chrome.storage.session.get(AIRCRAFT_CONTEXT_KEY);
+  return stored[AIRCRAFT_CONTEXT_KEY] || null;
+}
+
+async function handleGetAircraftContext(request, sendResponse) {
+  try {
+    sendResponse({ success: true, context: await getAircraftContext() });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+/**
+ * Set the context for the session; null or an empty object clears it
+ */
+async function handleSetAircraftContext(request, sendResponse) {
+  try {
+    const context = normalizeAircraftContext(request.context);
+    
+    if (context) {
+      await chrome.storage.session.set({ [AIRCRAFT_CONTEXT_KEY]: context });
+    } else {
+      await chrome.storage.session.remove(AIRCRAFT_CONTEXT_KEY);
+    }
+    
+    logger.info('✈️ Aircraft context:', context || 'cleared');
+    broadcastEvent('aircraftContextChange', { context, timestamp: Date.now() })
+      .catch((error) => logger.warn('⚠️ Could not announce aircraft context:', error));
+    
+    sendResponse({ success: true, context });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+function handleConsentDecision(request, sender, sendResponse) {
+  // Decisions are only accepted from the extension's own consent page
+  if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL('consent.html'))) {
+    sendResponse(errorResponse(new BridgeError(ERROR_CODES.FORBIDDEN_ORIGIN, 'Forbidden')));
+    return;
+  }
+
+  const { origin, decision } = request;
+  if (!['always', 'once', 'deny'].includes(decision)) {
+    sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid decision')));
+    return;
+  }
+
+  resolveConsent(origin, decision);
+  sendResponse({ success: true });
+}
+
+/**
+ * Selection lookup
+ *
+ * "Open in AirNavX Bridge" on selected text opens the popup page in its own
+ * window with ?lookup=<selection>; the popup normalises the selection,
+ * searches and previews the best match. One window is reused for lookups.
+ */
+function createLookupMenu() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: LOOKUP_MENU_ID,
+      title: 'Open in AirNavX Bridge',
+      contexts: ['selection']
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== LOOKUP_MENU_ID || !info.selectionText) {
+    return;
+  }
+  
+  openLookupWindow(info.selectionText)
+    .catch((error) => logger.error('❌ Failed to open lookup window:', error));
+});
+
+async function openLookupWindow(selection) {
+  const url = chrome.runtime.getURL(`popup.html?lookup=${encodeURIComponent(selection.trim().slice(0, LOOKUP_MAX_LENGTH))}`);
+  const stored = await chrome.storage.session.get(LOOKUP_WINDOW_KEY);
+  const windowId = stored[LOOKUP_WINDOW_KEY];
+  
+  if (windowId) {
+    try {
+      const win = await chrome.windows.get(windowId, { populate: true });
+      await chrome.tabs.update(win.tabs[0].id, { url });
+      await chrome.windows.update(windowId, { focused: true });
+      return;
+    } catch (error) {
+      // Closed since; open a new one
+    }
+  }
+  
+  const win = await chrome.windows.create({ url, type: 'popup', width: 420, height: 640 });
+  await chrome.storage.session.set({ [LOOKUP_WINDOW_KEY]: win.id });
+}
+
+/**
+ * Hover card lookup for a code auto-linked on a page. Only sites the user
+ * enabled auto-linking for may ask; the answer is the best search match.
+ */
+async function handleAutolinkLookup(request, sender, sendResponse) {
+  try {
+    const origin = getSenderOrigin(sender);
+    if (!getSettings().autolinkOrigins.includes(origin)) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.FORBIDDEN_ORIGIN,
+        `Auto-linking is not enabled for ${origin}`, { details: { origin } })));
+      return;
+    }
+    
+    const reference = normalizeTaskReference(request.code);
+    if (!reference) {
+      sendResponse(errorResponse(new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Not a task or data module code')));
+      return;
+    }
+    
+    const spec = buildSearchSpec({ query: reference.code });
+    const result = shapeSearchResult(await searchCached(spec, null), spec);
+    const best = bestReferenceMatch(result.results, reference.code);
+    
+    sendResponse({
+      success: true,
+      code: reference.code,
+      type: reference.type,
+      match: best && {
+        dataModuleId: searchResultModuleId(best),
+        title: searchResultTitle(best),
+        applicabilityCheck: evaluateResultApplicability(best, await getAircraftContext())
+      },
+      fromCache: result.fromCache
+    });
+  } catch (error) {
+    sendResponse(errorResponse(error));
+  }
+}
+
+// Modules evicted from the cache leave the local index with them
+onCachedModulesRemoved((modules) => {
+  unindexModules(modules).catch((error) => logger.warn('⚠️ Could not update the local index:', error));
+});
+
+/**
+ * On install/startup
+ */
+chrome.runtime.onInstalled.addListener(async () => {
+  logger.info('🚀 AirNavX Bridge installed');
+  
+  createLookupMenu();
+  await scheduleHealthCheck();
+  
+  // Try to detect AirNavX on install
+  await detectAirNavX(true);
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  logger.info('🚀 AirNavX Bridge started');
+  settingsReady.then(pruneAuditLog).catch((error) => logger.warn('⚠️ Could not prune the audit log:', error));
+  await scheduleHealthCheck();
+  await detectAirNavX(true);
+});
+
+// Host, port or pinned endpoint changes invalidate the cached detection
+onSettingsChanged((settings, previous) => {
+  const discoveryChanged = ['hosts', 'candidatePorts', 'pinnedEndpoint']
+    .some((key) => JSON.stringify(settings[key]) !== JSON.stringify(previous[key]));
+  
+  if (discoveryChanged) {
+    logger.info('⚙️ Discovery settings changed, re-detecting AirNavX');
+    detectAirNavX(true);
+  }
+  
+  if (settings.healthCheckInterval !== previous.healthCheckInterval) {
+    scheduleHealthCheck();
+  }
+  
+  if (settings.auditMaxAge < previous.auditMaxAge || settings.auditMaxEntries < previous.auditMaxEntries) {
+    pruneAuditLog().catch((error) => logger.warn('⚠️ Could not prune the audit log:', error));
+  }
+});
+
+/**
+ * Health monitoring
+ *
+ * A chrome.alarms alarm re-detects AirNavX periodically; unlike a timer it
+ * also wakes a suspended service worker. Connect, disconnect and default
+ * instance changes are broadcast to every tab whose site may use the bridge.
+ */
+async function scheduleHealthCheck() {
+  const { healthCheckInterval } = await settingsReady.then(getSettings);
+  await chrome.alarms.create(HEALTH_ALARM, { periodInMinutes: healthCheckInterval / 60000 });
+  logger.debug(`⏰ Health check every ${healthCheckInterval / 1000} s`);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === HEALTH_ALARM) {
+    detectAirNavX(true);
+  }
+});
+
+// Alarms survive restarts, but not every update path fires onInstalled
+chrome.alarms.get(HEALTH_ALARM).then((alarm) => {
+  if (!alarm) {
+    scheduleHealthCheck();
+  }
+});
+
+/**
+ * Compare the detection outcome with the last one broadcast and announce
+ * the transition, if any
+ */
+async function updateConnectionStatus() {
+  const stored = await chrome.storage.session.get(CONNECTION_STATUS_KEY);
+  const previous = stored[CONNECTION_STATUS_KEY] || { connected: false, instance: null, version: null };
+  
+  const current = {
+    connected: detectedAirNavX !== null,
+    instance: detectedAirNavX?.id || null,
+    version: detectedAirNavX?.version || null
+  };
+  
+  let type = null;
+  if (current.connected && !previous.connected) {
+    type = 'connected';
+  } else if (!current.connected && previous.connected) {
+    type = 'disconnected';
+  } else if (current.connected && (current.instance !== previous.instance || current.version !== previous.version)) {
+    type = 'instanceChanged';
+  }
+  
+  if (!type) {
+    return;
+  }
+  
+  await chrome.storage.session.set({ [CONNECTION_STATUS_KEY]: current });
+  
+  const event = {
+    type,
+    ...current,
+    previousInstance: previous.instance,
+    host: detectedAirNavX?.host || null,
+    port: detectedAirNavX?.port || null,
+    library: detectedAirNavX?.library || null,
+    instances: [...airnavxInstances.keys()],
+    timestamp: Date.now()
+  };
+  
+  logger.info(`📣 AirNavX ${type}${current.instance ? ` (${current.instance})` : ''}`);
+  await broadcastEvent('statusChange', event);
+}
+
+/**
+ * Push an event to the page API in every tab allowed to use the bridge
+ */
+async function broadcastEvent(eventName, detail) {
+  const tabs = await chrome.tabs.query({});
+  
+  await Promise.all(tabs.map(async (tab) => {
+    if (!tab.url) {
+      return;
+    }
+    
+    let origin;
+    try {
+      origin = new URL(tab.url).origin;
+    } catch (error) {
+      return;
+    }
+    
+    // Only sites already allowed to use the bridge learn about AirNavX
+    if (await getOriginGrant(origin, tab.id) !== true) {
+      return;
+    }
+    
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'bridgeEvent', event: eventName, detail });
+    } catch (error) {
+      // No content script in this tab (e.g. opened before install)
+    }
+  }));
+}
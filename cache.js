@@ -0,0 +1,524 @@
+/**
+ * AirNavX Bridge - Offline Content Cache
+ * Persists search results, data module content and ICN graphics in IndexedDB
+ * so that recently opened modules stay readable while AirNavX is unavailable.
+ *
+ * Modules are keyed by instance, data module ID and revision; a few past
+ * revisions are kept per module. Pinned modules are never evicted.
+ * Graphics are keyed by instance and ICN; an ICN names one issue of a
+ * graphic, so a cached copy never goes stale.
+ *
+ * Every record also has a small entry in ENTRY_STORE (size, last access,
+ * pinned) so that eviction and statistics never have to load the content.
+ */
+
+const CACHE_DB_NAME = 'airnavx-bridge-cache';
+const CACHE_DB_VERSION = 3;
+const MODULE_STORE = 'modules';
+const SEARCH_STORE = 'searches';
+const GRAPHIC_STORE = 'graphics';
+const ENTRY_STORE = 'entries'; // one { storeName, key, size, lastAccess, ... } per cached record
+const CACHE_STORES = [MODULE_STORE, SEARCH_STORE, GRAPHIC_STORE];
+const MAX_REVISIONS_PER_MODULE = 3;
+
+let cacheDbPromise = null;
+let evictionTimer = null;
+const moduleRemovalListeners = [];
+
+/**
+ * Open (and on first use create) the cache database
+ */
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const modules = db.createObjectStore(MODULE_STORE, { keyPath: 'key' });
+          modules.createIndex('moduleKey', 'moduleKey');
+          modules.createIndex('dataModuleId', 'dataModuleId');
+
+          db.createObjectStore(SEARCH_STORE, { keyPath: 'key' });
+        }
+
+        if (event.oldVersion < 2) {
+          const graphics = db.createObjectStore(GRAPHIC_STORE, { keyPath: 'key' });
+          graphics.createIndex('icnId', 'icnId');
+        }
+
+        if (event.oldVersion < 3) {
+          const entries = db.createObjectStore(ENTRY_STORE, { keyPath: ['storeName', 'key'] });
+          entries.createIndex('lastAccess', 'lastAccess');
+          entries.createIndex('moduleKey', 'moduleKey');
+
+          // Describe what earlier versions already cached
+          for (const storeName of CACHE_STORES) {
+            request.transaction.objectStore(storeName).openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (cursor) {
+                entries.put(entryMeta(storeName, cursor.value));
+                cursor.continue();
+              }
+            };
+          }
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        cacheDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return cacheDbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run `callback` with { [storeName]: IDBObjectStore } in one transaction
+ */
+async function withStores(storeNames, mode, callback) {
+  const db = await openCacheDb();
+  const transaction = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const stores = Object.fromEntries(storeNames.map((name) => [name, transaction.objectStore(name)]));
+  const result = await callback(stores);
+  await done;
+
+  return result;
+}
+
+function withStore(storeName, mode, callback) {
+  return withStores([storeName], mode, (stores) => callback(stores[storeName]));
+}
+
+/**
+ * Walk a store or index with a cursor, calling `visit(cursor)` for each record
+ */
+function walkCursor(source, visit, query = null) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(query);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * The ENTRY_STORE record describing a cached record, without its content
+ */
+function entryMeta(storeName, record) {
+  const meta = {
+    storeName,
+    key: record.key,
+    size: record.size,
+    fetchedAt: record.fetchedAt,
+    lastAccess: record.lastAccess,
+    pinned: !!record.pinned
+  };
+
+  if (storeName === MODULE_STORE) {
+    Object.assign(meta, {
+      moduleKey: record.moduleKey,
+      instance: record.instance,
+      dataModuleId: record.dataModuleId,
+      revision: record.revision
+    });
+  }
+  return meta;
+}
+
+function putCacheRecord(stores, storeName, record) {
+  stores[storeName].put(record);
+  stores[ENTRY_STORE].put(entryMeta(storeName, record));
+}
+
+function deleteCacheRecord(stores, storeName, key) {
+  stores[storeName].delete(key);
+  stores[ENTRY_STORE].delete([storeName, key]);
+}
+
+function estimateSize(data) {
+  return typeof data === 'string' ? data.length : JSON.stringify(data ?? null).length;
+}
+
+/**
+ * Issue/revision of a module as reported by its content, or 'unknown'
+ */
+function contentRevision(data) {
+  try {
+    const { issue } = parseDataModule(data);
+    if (issue.number) {
+      return issue.inWork ? `${issue.number}-${issue.inWork}` : issue.number;
+    }
+  } catch (error) {
+    // Unparseable content is cached under an unknown revision
+  }
+  return 'unknown';
+}
+
+/**
+ * Latest cached revision of a module. Without an instance, any instance's
+ * copy will do; that is what keeps content readable when nothing is detected.
+ */
+async function getCachedModule(instance, dataModuleId) {
+  const records = await withStore(MODULE_STORE, 'readonly', (store) => instance
+    ? requestToPromise(store.index('moduleKey').getAll(`${instance}|${dataModuleId}`))
+    : requestToPromise(store.index('dataModuleId').getAll(dataModuleId)));
+
+  const latest = records.sort((a, b) => b.fetchedAt - a.fetchedAt)[0] || null;
+  if (latest && isExpired(latest)) {
+    return null;
+  }
+
+  if (latest) {
+    touchRecord(MODULE_STORE, latest.key);
+  }
+  return latest;
+}
+
+/**
+ * Every cached revision of a module, newest first
+ */
+async function getCachedRevisions(instance, dataModuleId) {
+  const records = await withStore(MODULE_STORE, 'readonly', (store) => instance
+    ? requestToPromise(store.index('moduleKey').getAll(`${instance}|${dataModuleId}`))
+    : requestToPromise(store.index('dataModuleId').getAll(dataModuleId)));
+
+  return records.sort((a, b) => b.fetchedAt - a.fetchedAt);
+}
+
+async function putCachedModule(instance, dataModuleId, result) {
+  const revision = contentRevision(result.data);
+  const moduleKey = `${instance}|${dataModuleId}`;
+  const now = Date.now();
+
+  await withStores([MODULE_STORE, ENTRY_STORE], 'readwrite', async (stores) => {
+    const existing = await requestToPromise(stores[ENTRY_STORE].index('moduleKey').getAll(moduleKey));
+    const pinned = existing.some((meta) => meta.pinned);
+
+    putCacheRecord(stores, MODULE_STORE, {
+      key: `${moduleKey}|${revision}`,
+      moduleKey,
+      instance,
+      dataModuleId,
+      revision,
+      data: result.data,
+      method: result.method,
+      host: result.host,
+      port: result.port,
+      byteLength: result.byteLength,
+      fetchedAt: now,
+      lastAccess: now,
+      size: result.byteLength ?? estimateSize(result.data),
+      pinned
+    });
+
+    // Keep only the newest few revisions of each module
+    existing
+      .filter((meta) => meta.revision !== revision)
+      .sort((a, b) => b.fetchedAt - a.fetchedAt)
+      .slice(MAX_REVISIONS_PER_MODULE - 1)
+      .forEach((meta) => deleteCacheRecord(stores, MODULE_STORE, meta.key));
+  });
+
+  scheduleEviction();
+  return { revision, fetchedAt: now };
+}
+
+/**
+ * Newest cached revision of every module, without the content:
+ * [{ key, instance, dataModuleId, revision, fetchedAt }]
+ */
+async function listCachedModules() {
+  const latest = new Map();
+
+  await withStore(ENTRY_STORE, 'readonly', (store) => walkCursor(store, (cursor) => {
+    const { key, moduleKey, instance, dataModuleId, revision, fetchedAt } = cursor.value;
+    if (!latest.has(moduleKey) || latest.get(moduleKey).fetchedAt < fetchedAt) {
+      latest.set(moduleKey, { key, instance, dataModuleId, revision, fetchedAt });
+    }
+  }, IDBKeyRange.bound([MODULE_STORE], [MODULE_STORE, []]))); // [] sorts after every string key
+
+  return [...latest.values()];
+}
+
+/**
+ * One cached module record by key, without counting as an access
+ */
+async function readCachedModule(key) {
+  return withStore(MODULE_STORE, 'readonly', (store) => requestToPromise(store.get(key)));
+}
+
+/**
+ * Called with [{ instance, dataModuleId }] once no revision of a module is
+ * left in the cache, after eviction or clearing
+ */
+function onCachedModulesRemoved(callback) {
+  moduleRemovalListeners.push(callback);
+}
+
+async function notifyModulesRemoved(records) {
+  if (!records.length || !moduleRemovalListeners.length) {
+    return;
+  }
+
+  const candidates = new Map(records.map((record) => [record.moduleKey, record]));
+  const gone = await withStore(MODULE_STORE, 'readonly', async (store) => {
+    const removed = [];
+    for (const [moduleKey, record] of candidates) {
+      if (!await requestToPromise(store.index('moduleKey').count(moduleKey))) {
+        removed.push({ instance: record.instance, dataModuleId: record.dataModuleId });
+      }
+    }
+    return removed;
+  });
+
+  if (gone.length) {
+    moduleRemovalListeners.forEach((callback) => callback(gone));
+  }
+}
+
+function searchCacheKey(instance, query, page, extra = '') {
+  return `${instance}|${query}|${page}|${extra}`;
+}
+
+async function getCachedSearch(key) {
+  const record = await withStore(SEARCH_STORE, 'readonly', (store) => requestToPromise(store.get(key)));
+
+  if (!record || isExpired(record)) {
+    return null;
+  }
+
+  touchRecord(SEARCH_STORE, key);
+  return record;
+}
+
+async function putCachedSearch(key, result) {
+  const now = Date.now();
+
+  await withStores([SEARCH_STORE, ENTRY_STORE], 'readwrite', (stores) => {
+    putCacheRecord(stores, SEARCH_STORE, {
+      key,
+      data: result.data,
+      host: result.host,
+      port: result.port,
+      instance: result.instance,
+      byteLength: result.byteLength,
+      fetchedAt: now,
+      lastAccess: now,
+      size: result.byteLength ?? estimateSize(result.data),
+      pinned: false
+    });
+  });
+
+  scheduleEviction();
+  return { fetchedAt: now };
+}
+
+/**
+ * Cached graphic; without an instance, any instance's copy will do
+ */
+async function getCachedGraphic(instance, icnId) {
+  const record = await withStore(GRAPHIC_STORE, 'readonly', async (store) => instance
+    ? requestToPromise(store.get(`${instance}|${icnId}`))
+    : (await requestToPromise(store.index('icnId').getAll(icnId)))[0]);
+
+  if (!record || isExpired(record)) {
+    return null;
+  }
+
+  touchRecord(GRAPHIC_STORE, record.key);
+  return record;
+}
+
+/**
+ * Store a graphic; `data` is the base64 payload as sent to the page
+ */
+async function putCachedGraphic(instance, icnId, result) {
+  const now = Date.now();
+
+  await withStores([GRAPHIC_STORE, ENTRY_STORE], 'readwrite', (stores) => {
+    putCacheRecord(stores, GRAPHIC_STORE, {
+      key: `${instance}|${icnId}`,
+      instance,
+      icnId,
+      data: result.data,
+      mimeType: result.mimeType,
+      byteLength: result.byteLength,
+      method: result.method,
+      host: result.host,
+      port: result.port,
+      fetchedAt: now,
+      lastAccess: now,
+      size: estimateSize(result.data),
+      pinned: false
+    });
+  });
+
+  scheduleEviction();
+  return { fetchedAt: now };
+}
+
+/**
+ * Too old to serve at all (pinned records never are)
+ */
+function isExpired(record) {
+  return !record.pinned && Date.now() - record.fetchedAt > getSettings().cacheMaxAge;
+}
+
+/**
+ * Past the freshness window: serve it, but refresh in the background
+ */
+function isStale(record) {
+  return Date.now() - record.fetchedAt > getSettings().cacheFreshFor;
+}
+
+/**
+ * Count an access; only the entry is rewritten, not the content
+ */
+function touchRecord(storeName, key) {
+  withStore(ENTRY_STORE, 'readwrite', async (store) => {
+    const meta = await requestToPromise(store.get([storeName, key]));
+    if (meta) {
+      meta.lastAccess = Date.now();
+      store.put(meta);
+    }
+  }).catch((error) => logger.debug('⚠️ Cache touch failed:', error));
+}
+
+/**
+ * Pin or unpin every cached revision of the modules from one instance.
+ * Without an instance, copies from every instance change.
+ */
+async function setModulesPinned(instance, dataModuleIds, pinned) {
+  let updated = 0;
+
+  await withStores([MODULE_STORE, ENTRY_STORE], 'readwrite', async (stores) => {
+    for (const dataModuleId of dataModuleIds) {
+      const [index, query] = instance
+        ? ['moduleKey', `${instance}|${dataModuleId}`]
+        : ['dataModuleId', dataModuleId];
+      await walkCursor(stores[MODULE_STORE].index(index), (cursor) => {
+        const record = { ...cursor.value, pinned };
+        cursor.update(record);
+        stores[ENTRY_STORE].put(entryMeta(MODULE_STORE, record));
+        updated++;
+      }, query);
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Remove cached entries; pinned modules survive unless includePinned is set
+ */
+async function clearContentCache({ includePinned = false } = {}) {
+  let removed = 0;
+  const removedModules = [];
+
+  await withStores([...CACHE_STORES, ENTRY_STORE], 'readwrite', (stores) => walkCursor(stores[ENTRY_STORE], (cursor) => {
+    const meta = cursor.value;
+    if (meta.pinned && !includePinned) return;
+
+    stores[meta.storeName].delete(meta.key);
+    cursor.delete();
+    removed++;
+    if (meta.storeName === MODULE_STORE) {
+      removedModules.push(meta);
+    }
+  }));
+
+  await notifyModulesRemoved(removedModules);
+  return removed;
+}
+
+async function getCacheStats() {
+  const stats = { modules: 0, searches: 0, graphics: 0, pinned: 0, bytes: 0, pinnedModules: [] };
+  const pinnedModules = new Set();
+
+  await withStore(ENTRY_STORE, 'readonly', (store) => walkCursor(store, (cursor) => {
+    const meta = cursor.value;
+    stats[meta.storeName]++;
+    stats.bytes += meta.size;
+    if (meta.storeName === MODULE_STORE && meta.pinned) {
+      pinnedModules.add(meta.dataModuleId);
+    }
+  }));
+
+  stats.pinnedModules = [...pinnedModules];
+  stats.pinned = stats.pinnedModules.length;
+
+  return stats;
+}
+
+/**
+ * Enforce age, entry-count and size limits (least recently used goes first)
+ */
+function scheduleEviction() {
+  clearTimeout(evictionTimer);
+  evictionTimer = setTimeout(() => {
+    enforceCacheLimits().catch((error) => logger.warn('⚠️ Cache eviction failed:', error));
+  }, 1000);
+}
+
+async function enforceCacheLimits() {
+  const { cacheMaxEntries, cacheMaxBytes } = getSettings();
+  const survivors = []; // least recently used first
+  const doomed = [];
+  let bytes = 0;
+
+  await withStore(ENTRY_STORE, 'readonly', (store) => walkCursor(store.index('lastAccess'), (cursor) => {
+    const meta = cursor.value;
+    if (isExpired(meta)) {
+      doomed.push(meta);
+    } else {
+      survivors.push(meta);
+      bytes += meta.size;
+    }
+  }));
+
+  let count = survivors.length;
+
+  for (const meta of survivors) {
+    if (count <= cacheMaxEntries && bytes <= cacheMaxBytes) break;
+    if (meta.pinned) continue;
+
+    doomed.push(meta);
+    count--;
+    bytes -= meta.size;
+  }
+
+  if (doomed.length) {
+    await withStores([...CACHE_STORES, ENTRY_STORE], 'readwrite', (stores) => {
+      doomed.forEach((meta) => deleteCacheRecord(stores, meta.storeName, meta.key));
+    });
+
+    logger.info(`🧹 Evicted ${doomed.length} cache entries`);
+    await notifyModulesRemoved(doomed.filter((meta) => meta.storeName === MODULE_STORE));
+  }
+}
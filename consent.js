@@ -0,0 +1,19 @@
+/**
+ * AirNavX Bridge - Consent Prompt
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const origin = new URLSearchParams(location.search).get('origin');
+
+  document.getElementById('originValue').textContent = origin || 'unknown';
+
+  document.querySelectorAll('[data-decision]').forEach((button) => {
+    button.addEventListener('click', () => {
+      chrome.runtime.sendMessage({
+        action: 'consentDecision',
+        origin,
+        decision: button.dataset.decision
+      }, () => window.close());
+    });
+  });
+});
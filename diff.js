@@ -0,0 +1,249 @@
+/**
+ * AirNavX Bridge - Revision Diff
+ * Compares two parsed revisions of a data module: procedure steps, warnings
+ * and cautions, tools, consumables and spares.
+ *
+ * Steps are matched by their S1000D id where both revisions carry one, then
+ * by text in document order, so a step inserted near the top does not make
+ * every renumbered step after it look changed.
+ *
+ * Relies on parser.js (moduleAdmonitions) when comparing warnings and cautions.
+ */
+
+const DIFF_SCHEMA_VERSION = '1.0';
+const DIFF_ITEM_KINDS = ['tools', 'consumables', 'spares'];
+const DIFF_ITEM_FIELDS = ['name', 'partNumber', 'manufacturerCode', 'quantity', 'unit'];
+const STEP_SIMILARITY_THRESHOLD = 0.5; // share of words for an edited step, rather than a new one
+
+function normalizeDiffText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Steps in document order with their parent chain flattened away
+ */
+function flattenSteps(steps, depth = 0, out = []) {
+  for (const step of steps) {
+    out.push({
+      id: step.id,
+      number: step.number,
+      depth,
+      text: step.text,
+      key: normalizeDiffText(step.text),
+      admonitions: ['warnings', 'cautions', 'notes']
+        .map((kind) => step[kind].map((item) => normalizeDiffText(item.text)).join('\n'))
+    });
+    flattenSteps(step.steps, depth + 1, out);
+  }
+  return out;
+}
+
+/**
+ * Index pairs [i, j] of the longest common subsequence of two key lists
+ */
+function longestCommonSubsequence(before, after) {
+  const width = after.length + 1;
+  const lengths = new Uint32Array((before.length + 1) * width);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0, j = 0; i < before.length && j < after.length;) {
+    if (before[i] === after[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function wordSimilarity(a, b) {
+  const left = new Set(a.split(' ').filter(Boolean));
+  const right = new Set(b.split(' ').filter(Boolean));
+  if (!left.size && !right.size) return 1;
+
+  let shared = 0;
+  left.forEach((word) => { if (right.has(word)) shared++; });
+  return shared / Math.max(left.size, right.size);
+}
+
+function stepSummary(step) {
+  return { id: step.id, number: step.number, text: step.text };
+}
+
+function diffSteps(beforeSteps, afterSteps) {
+  const before = flattenSteps(beforeSteps);
+  const after = flattenSteps(afterSteps);
+  const pairs = []; // [beforeIndex, afterIndex]
+
+  // Stable ids first
+  const afterById = new Map();
+  after.forEach((step, index) => {
+    if (step.id && !afterById.has(step.id)) afterById.set(step.id, index);
+  });
+  const pairedBefore = new Set();
+  const pairedAfter = new Set();
+  before.forEach((step, index) => {
+    const match = step.id ? afterById.get(step.id) : undefined;
+    if (match !== undefined && !pairedAfter.has(match)) {
+      pairs.push([index, match]);
+      pairedBefore.add(index);
+      pairedAfter.add(match);
+    }
+  });
+
+  // Then identical text, in order
+  const restBefore = before.map((step, index) => index).filter((index) => !pairedBefore.has(index));
+  const restAfter = after.map((step, index) => index).filter((index) => !pairedAfter.has(index));
+  for (const [i, j] of longestCommonSubsequence(restBefore.map((index) => before[index].key), restAfter.map((index) => after[index].key))) {
+    pairs.push([restBefore[i], restAfter[j]]);
+    pairedBefore.add(restBefore[i]);
+    pairedAfter.add(restAfter[j]);
+  }
+
+  // Whatever is left over: an edited step if enough of its wording survived
+  const removedLeft = before.map((step, index) => index).filter((index) => !pairedBefore.has(index));
+  const addedLeft = new Set(after.map((step, index) => index).filter((index) => !pairedAfter.has(index)));
+  const removed = [];
+  for (const index of removedLeft) {
+    const match = [...addedLeft].find((candidate) =>
+      wordSimilarity(before[index].key, after[candidate].key) >= STEP_SIMILARITY_THRESHOLD);
+    if (match === undefined) {
+      removed.push(stepSummary(before[index]));
+    } else {
+      pairs.push([index, match]);
+      addedLeft.delete(match);
+    }
+  }
+
+  const changed = pairs
+    .map(([i, j]) => {
+      const fields = [];
+      if (before[i].key !== after[j].key) fields.push('text');
+      ['warnings', 'cautions', 'notes'].forEach((kind, index) => {
+        if (before[i].admonitions[index] !== after[j].admonitions[index]) fields.push(kind);
+      });
+      return fields.length ? { before: stepSummary(before[i]), after: stepSummary(after[j]), fields, order: j } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...change }) => change);
+
+  return {
+    added: [...addedLeft].sort((a, b) => a - b).map((index) => stepSummary(after[index])),
+    removed,
+    changed
+  };
+}
+
+/**
+ * Warnings or cautions of the module and of every step, by text
+ */
+function collectAdmonitions(parsed, kind) {
+  const found = moduleAdmonitions(parsed, kind).map((item) => ({ text: item.text, step: null }));
+  const walk = (steps) => steps.forEach((step) => {
+    step[kind].forEach((item) => found.push({ text: item.text, step: step.number }));
+    walk(step.steps);
+  });
+  walk(parsed.steps);
+  return found;
+}
+
+function diffAdmonitions(before, after) {
+  const beforeKeys = new Set(before.map((item) => normalizeDiffText(item.text)));
+  const afterKeys = new Set(after.map((item) => normalizeDiffText(item.text)));
+  return {
+    added: after.filter((item) => !beforeKeys.has(normalizeDiffText(item.text))),
+    removed: before.filter((item) => !afterKeys.has(normalizeDiffText(item.text)))
+  };
+}
+
+/**
+ * Tools and parts are matched by part number, or by name when a list has none
+ */
+function diffItems(beforeItems, afterItems) {
+  const keyOf = (item) => normalizeDiffText(item.partNumber || item.name);
+  const byKey = (items) => items.reduce((map, item) => map.has(keyOf(item)) ? map : map.set(keyOf(item), item), new Map());
+  const before = byKey(beforeItems);
+  const after = byKey(afterItems);
+
+  const changed = [];
+  for (const [key, item] of after) {
+    const previous = before.get(key);
+    if (!previous) continue;
+    const fields = DIFF_ITEM_FIELDS.filter((field) => normalizeDiffText(previous[field]) !== normalizeDiffText(item[field]));
+    if (fields.length) {
+      changed.push({ before: previous, after: item, fields });
+    }
+  }
+
+  return {
+    added: [...after].filter(([key]) => !before.has(key)).map(([, item]) => item),
+    removed: [...before].filter(([key]) => !after.has(key)).map(([, item]) => item),
+    changed
+  };
+}
+
+/**
+ * Structured differences from `before` to `after` (both parsed modules)
+ */
+function diffParsedModules(before, after) {
+  const steps = diffSteps(before.steps, after.steps);
+  const warnings = diffAdmonitions(collectAdmonitions(before, 'warnings'), collectAdmonitions(after, 'warnings'));
+  const cautions = diffAdmonitions(collectAdmonitions(before, 'cautions'), collectAdmonitions(after, 'cautions'));
+  const items = Object.fromEntries(DIFF_ITEM_KINDS.map((kind) => [kind, diffItems(before[kind], after[kind])]));
+
+  const count = (diff) => Object.values(diff).reduce((sum, list) => sum + list.length, 0);
+  const summary = {
+    stepsAdded: steps.added.length,
+    stepsRemoved: steps.removed.length,
+    stepsChanged: steps.changed.length,
+    warningsAdded: warnings.added.length,
+    warningsRemoved: warnings.removed.length,
+    cautionsAdded: cautions.added.length,
+    cautionsRemoved: cautions.removed.length,
+    itemsChanged: DIFF_ITEM_KINDS.reduce((sum, kind) => sum + count(items[kind]), 0)
+  };
+
+  const titleChanged = normalizeDiffText(before.title) !== normalizeDiffText(after.title);
+
+  return {
+    schemaVersion: DIFF_SCHEMA_VERSION,
+    changed: titleChanged || Object.values(summary).some(Boolean),
+    title: titleChanged ? { before: before.title, after: after.title } : null,
+    steps,
+    warnings,
+    cautions,
+    ...items,
+    summary
+  };
+}
+
+/**
+ * One line for people, e.g. '2 steps changed, 1 warning added'
+ */
+function describeDiffSummary(summary) {
+  const parts = [
+    [summary.stepsAdded, 'step', 'added'],
+    [summary.stepsRemoved, 'step', 'removed'],
+    [summary.stepsChanged, 'step', 'changed'],
+    [summary.warningsAdded, 'warning', 'added'],
+    [summary.warningsRemoved, 'warning', 'removed'],
+    [summary.cautionsAdded, 'caution', 'added'],
+    [summary.cautionsRemoved, 'caution', 'removed'],
+    [summary.itemsChanged, 'tool/part change', '']
+  ].filter(([n]) => n).map(([n, noun, verb]) => `${n} ${noun}${n === 1 ? '' : 's'}${verb ? ` ${verb}` : ''}`);
+
+  return parts.length ? parts.join(', ') : 'No procedural changes';
+}
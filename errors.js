@@ -0,0 +1,107 @@
+/**
+ * AirNavX Bridge - Error Model
+ * Loaded by the background worker and the content script. Every failure that
+ * crosses the bridge carries a stable code, a retryable flag and, for calls
+ * that tried several endpoints, the outcome of each attempt.
+ * injected.js mirrors the codes for the page, which cannot load this file.
+ */
+
+const ERROR_CODES = {
+  NOT_DETECTED: 'NOT_DETECTED', // no AirNavX instance running (or none matches the selector)
+  TIMEOUT: 'TIMEOUT',
+  ABORTED: 'ABORTED', // cancelled by the caller
+  HTTP_ERROR: 'HTTP_ERROR', // AirNavX answered with a non-2xx status
+  NETWORK_ERROR: 'NETWORK_ERROR', // AirNavX could not be reached
+  FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  MODULE_NOT_FOUND: 'MODULE_NOT_FOUND',
+  GRAPHIC_NOT_FOUND: 'GRAPHIC_NOT_FOUND',
+  PARSE_ERROR: 'PARSE_ERROR',
+  BRIDGE_UNAVAILABLE: 'BRIDGE_UNAVAILABLE', // extension reloaded or worker connection lost
+  INTERNAL: 'INTERNAL'
+};
+
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.NOT_DETECTED,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.BRIDGE_UNAVAILABLE
+]);
+
+class BridgeError extends Error {
+  /**
+   * @param {string} code - one of ERROR_CODES
+   * @param {string} message
+   * @param {object} [options] - status, attempts, details, retryable (overrides the code's default)
+   */
+  constructor(code, message, { status = null, attempts = null, details = null, retryable } = {}) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+    this.status = status;
+    this.attempts = attempts;
+    this.details = details;
+    this.retryable = retryable ?? isRetryableCode(code, status);
+  }
+}
+
+/**
+ * Server errors and rate limiting are worth retrying; other HTTP errors are not
+ */
+function isRetryableCode(code, status = null) {
+  if (code === ERROR_CODES.HTTP_ERROR) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.has(code);
+}
+
+/**
+ * Turn anything thrown into a BridgeError, keeping codes that are already set
+ */
+function toBridgeError(error, fallbackCode = ERROR_CODES.INTERNAL) {
+  if (error instanceof BridgeError) {
+    return error;
+  }
+  return new BridgeError(fallbackCode, error?.message || String(error));
+}
+
+/**
+ * Error for a call whose AbortSignal fired; aborting with the reason
+ * 'timeout' marks a deadline rather than the caller giving up
+ */
+function cancellationError(signal) {
+  return signal?.reason === 'timeout'
+    ? new BridgeError(ERROR_CODES.TIMEOUT, 'Request timeout')
+    : new BridgeError(ERROR_CODES.ABORTED, 'Request cancelled');
+}
+
+/**
+ * Plain-object form of an error, safe to post across ports and windows
+ */
+function serializeError(error) {
+  const bridgeError = toBridgeError(error);
+  return {
+    code: bridgeError.code,
+    message: bridgeError.message,
+    retryable: bridgeError.retryable,
+    status: bridgeError.status,
+    attempts: bridgeError.attempts,
+    details: bridgeError.details,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Handler response for a failure: `error` stays the human-readable message,
+ * `errorCode` and `errorDetails` carry the structured form
+ */
+function errorResponse(error, extra = {}) {
+  const serialized = serializeError(error);
+  return {
+    success: false,
+    error: serialized.message,
+    errorCode: serialized.code,
+    errorDetails: serialized,
+    ...extra
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * AirNavX Bridge - Task Card Export
+ * Turns parsed data modules into hangar documents: printable HTML task
+ * cards with a sign-off box per step, a CSV of warnings and of what to draw
+ * from stores, and a JSON bundle of the normalised content.
+ *
+ * Builders are pure: they take export entries, as assembled by the
+ * background worker, and return a string.
+ *   { dataModuleId, parsed, revision, fetchedAt, fromCache, printVariant, applicabilityCheck }
+ *
+ * Relies on parser.js (moduleAdmonitions) to tell a module's own warnings
+ * from those of its steps.
+ */
+
+const EXPORT_SCHEMA_VERSION = '1.1';
+
+const EXPORT_FORMATS = {
+  html: { mimeType: 'text/html', extension: 'html', build: buildTaskCardHtml },
+  csv: { mimeType: 'text/csv', extension: 'csv', build: buildTaskCardCsv },
+  json: { mimeType: 'application/json', extension: 'json', build: buildTaskCardJson }
+};
+
+const CSV_COLUMNS = ['dataModuleId', 'dmCode', 'title', 'category', 'name', 'partNumber', 'manufacturerCode', 'quantity', 'unit', 'step'];
+
+const ADMONITION_LABELS = { warning: 'WARNING', caution: 'CAUTION' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * One CSV field. Values a spreadsheet would run as a formula are prefixed
+ * with a quote, since module content is not ours to trust.
+ */
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The module's own warnings and cautions, without those of its steps
+ */
+function cardAdmonitions(parsed) {
+  return { warnings: moduleAdmonitions(parsed, 'warnings'), cautions: moduleAdmonitions(parsed, 'cautions') };
+}
+
+/**
+ * Warnings and cautions of a module and of its steps, in document order:
+ * [{ type: 'warning'|'caution', step, text }], `step` being null at module level
+ */
+function taskCardAdmonitions(parsed) {
+  const found = [];
+  const add = (owner, step) => {
+    owner.warnings.forEach((item) => found.push({ type: 'warning', step, text: item.text }));
+    owner.cautions.forEach((item) => found.push({ type: 'caution', step, text: item.text }));
+  };
+  const walk = (steps) => steps.forEach((step) => {
+    add(step, step.number);
+    walk(step.steps);
+  });
+
+  add(cardAdmonitions(parsed), null);
+  walk(parsed.steps);
+  return found;
+}
+
+/**
+ * Warnings and cautions of every module (text in `name`, step number in
+ * `step`), then its tools, consumables and spares, one row per item
+ */
+function buildTaskCardCsv(entries) {
+  const rows = [CSV_COLUMNS];
+
+  for (const { dataModuleId, parsed } of entries) {
+    for (const admonition of taskCardAdmonitions(parsed)) {
+      rows.push([dataModuleId, parsed.dmCode, parsed.title, admonition.type, admonition.text, '', '', '', '', admonition.step]);
+    }
+    for (const [category, items] of [['tool', parsed.tools], ['consumable', parsed.consumables], ['spare', parsed.spares]]) {
+      for (const item of items) {
+        rows.push([dataModuleId, parsed.dmCode, parsed.title, category, item.name, item.partNumber,
+          item.manufacturerCode, item.quantity, item.unit, '']);
+      }
+    }
+  }
+
+  // CRLF line endings, as spreadsheet tools expect
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function buildTaskCardJson(entries, { title, generatedAt, aircraftContext, failed = [] } = {}) {
+  return JSON.stringify({
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    title,
+    generatedAt: new Date(generatedAt).toISOString(),
+    aircraftContext,
+    modules: entries.map((entry) => ({
+      dataModuleId: entry.dataModuleId,
+      revision: entry.revision,
+      fetchedAt: entry.fetchedAt,
+      fromCache: entry.fromCache,
+      printVariant: entry.printVariant,
+      applicabilityCheck: entry.applicabilityCheck,
+      admonitions: taskCardAdmonitions(entry.parsed),
+      parsed: entry.parsed
+    })),
+    failed
+  }, null, 2);
+}
+
+/**
+ * Self-contained HTML work package, one task card per module, laid out to
+ * print on A4 with each card starting on a new page
+ */
+function buildTaskCardHtml(entries, { title, generatedAt, aircraftContext, failed = [] } = {}) {
+  const generated = new Date(generatedAt).toLocaleString();
+  const aircraft = aircraftContext
+    ? [aircraftContext.aircraftType, aircraftContext.customization, aircraftContext.msn ? `MSN ${aircraftContext.msn}` : null]
+      .filter(Boolean).join(' · ')
+    : '';
+
+  const cards = entries.map((entry, index) => taskCardHtml(entry, index + 1, entries.length)).join('\n');
+  const failures = failed.length
+    ? `<section class="failed"><h2>Not included</h2><ul>${failed.map((item) =>
+      `<li>${escapeHtml(item.dataModuleId)}: ${escapeHtml(item.error)}</li>`).join('')}</ul></section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font: 10pt/1.4 Arial, Helvetica, sans-serif; color: #000; margin: 0; }
+  .package-header { border-bottom: 2px solid #000; margin-bottom: 12px; padding-bottom: 6px; }
+  .package-header h1 { font-size: 16pt; margin: 0; }
+  .card { page-break-after: always; break-after: page; }
+  .card:last-of-type { page-break-after: auto; break-after: auto; }
+  .card-header { display: flex; justify-content: space-between; border: 1px solid #000; padding: 6px 8px; }
+  .card-header h2 { font-size: 13pt; margin: 0 0 4px; }
+  .meta { font-size: 9pt; }
+  .code { font-family: 'Courier New', monospace; }
+  .not-applicable { border: 2px solid #000; padding: 4px 8px; margin-top: 6px; font-weight: bold; }
+  .warning, .caution { border: 2px solid #000; padding: 4px 8px; margin-top: 6px; }
+  td .warning, td .caution { margin: 0 0 4px; }
+  .warning strong, .caution strong { display: block; text-align: center; }
+  h3 { font-size: 11pt; margin: 12px 0 4px; border-bottom: 1px solid #000; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #000; padding: 3px 5px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  tr { page-break-inside: avoid; break-inside: avoid; }
+  .step-number { width: 40px; }
+  .sign { width: 70px; }
+  .depth-1 td.step-text { padding-left: 18px; }
+  .depth-2 td.step-text { padding-left: 32px; }
+  .depth-3 td.step-text { padding-left: 46px; }
+  .signoff { margin-top: 16px; }
+  .signoff td { height: 28px; }
+  .failed { margin-top: 16px; }
+</style>
+</head>
+<body>
+<header class="package-header">
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${entries.length} task card${entries.length === 1 ? '' : 's'} · generated ${escapeHtml(generated)}${aircraft ? ` · ${escapeHtml(aircraft)}` : ''}</div>
+</header>
+${cards}
+${failures}
+</body>
+</html>
+`;
+}
+
+function taskCardHtml(entry, position, count) {
+  const { parsed, applicabilityCheck } = entry;
+  const issue = [parsed.issue.number ? `Issue ${parsed.issue.number}` : null, parsed.issue.date].filter(Boolean).join(', ');
+
+  const admonitions = admonitionsHtml(cardAdmonitions(parsed));
+
+  const requirements = [
+    ['Conditions', parsed.preliminaryRequirements.conditions],
+    ['Personnel', parsed.preliminaryRequirements.personnel],
+    ['Safety', parsed.preliminaryRequirements.safety]
+  ].filter(([, items]) => items.length)
+    .map(([label, items]) => `<h3>${label}</h3><ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`)
+    .join('');
+
+  const itemTable = (heading, items) => items.length
+    ? `<h3>${heading}</h3><table><tr><th>Designation</th><th>Part number</th><th>Qty</th><th class="sign">Issued</th></tr>${items.map((item) =>
+      `<tr><td>${escapeHtml(item.name)}</td><td class="code">${escapeHtml(item.partNumber)}</td>` +
+      `<td>${escapeHtml([item.quantity, item.unit].filter(Boolean).join(' '))}</td><td></td></tr>`).join('')}</table>`
+    : '';
+
+  const steps = parsed.steps.length
+    ? `<h3>Procedure</h3><table><tr><th class="step-number">Step</th><th>Action</th><th class="sign">Performed</th><th class="sign">Inspected</th></tr>${stepRowsHtml(parsed.steps, 0)}</table>`
+    : '';
+
+  const close = parsed.closeRequirements.length
+    ? `<h3>Close-up</h3><ul>${parsed.closeRequirements.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '';
+
+  const notApplicable = applicabilityCheck?.applies === false
+    ? `<div class="not-applicable">Not applicable to this aircraft: ${escapeHtml(applicabilityCheck.reason)}</div>`
+    : '';
+
+  return `<article class="card">
+  <div class="card-header">
+    <div>
+      <h2>${escapeHtml(parsed.title || entry.dataModuleId)}</h2>
+      <div class="meta code">${escapeHtml(parsed.dmCode || entry.dataModuleId)}</div>
+      <div class="meta">${escapeHtml(issue)}${parsed.applicability.text ? ` · Applicability: ${escapeHtml(parsed.applicability.text)}` : ''}</div>
+    </div>
+    <div class="meta">Card ${position} of ${count}</div>
+  </div>
+  ${notApplicable}
+  ${admonitions}
+  ${requirements}
+  ${itemTable('Tools and equipment', parsed.tools)}
+  ${itemTable('Consumables', parsed.consumables)}
+  ${itemTable('Spares', parsed.spares)}
+  ${steps}
+  ${close}
+  <table class="signoff">
+    <tr><th>Task completed by</th><th>Licence / stamp</th><th>Date</th><th>Inspected by</th></tr>
+    <tr><td></td><td></td><td></td><td></td></tr>
+  </table>
+</article>`;
+}
+
+/**
+ * Labelled warning and caution boxes of a module or a step
+ */
+function admonitionsHtml(owner) {
+  return [
+    ...owner.warnings.map((item) => ['warning', item]),
+    ...owner.cautions.map((item) => ['caution', item])
+  ].map(([kind, item]) => `<div class="${kind}"><strong>${ADMONITION_LABELS[kind]}</strong>${escapeHtml(item.text)}</div>`).join('');
+}
+
+/**
+ * Step rows; a step's warnings and cautions come before the action they guard
+ */
+function stepRowsHtml(steps, depth) {
+  return steps.map((step) => {
+    const notes = step.notes.map((item) => `<br><em>${escapeHtml(item.text)}</em>`).join('');
+    const row = `<tr class="depth-${Math.min(depth, 3)}"><td>${escapeHtml(step.number)}</td>` +
+      `<td class="step-text">${admonitionsHtml(step)}${escapeHtml(step.text)}${notes}</td><td></td><td></td></tr>`;
+    return row + stepRowsHtml(step.steps, depth + 1);
+  }).join('');
+}
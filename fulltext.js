@@ -0,0 +1,408 @@
+/**
+ * AirNavX Bridge - Local Full-Text Index
+ * An inverted index over the modules in the offline cache, so that content
+ * already pulled from AirNavX stays searchable while AirNavX is down.
+ *
+ * Each module is indexed once per instance, at its newest cached revision:
+ * its title, warnings, requirements, tools and parts, and steps as plain
+ * text. Postings are stored per term and module with the word positions,
+ * which is what phrase queries need. Ranking is BM25 with title matches
+ * counted extra.
+ *
+ * Relies on cache.js (requestToPromise, listCachedModules) and parser.js.
+ */
+
+const INDEX_DB_NAME = 'airnavx-bridge-index';
+const INDEX_DB_VERSION = 1;
+const INDEX_DOCUMENT_STORE = 'documents'; // { key, instance, dataModuleId, dmCode, title, revision, applicability, length, titleLength, indexedAt }
+const INDEX_CONTENT_STORE = 'contents'; // { key, text, terms }
+const INDEX_POSTING_STORE = 'postings'; // { term, doc, positions }
+const INDEX_STORES = [INDEX_DOCUMENT_STORE, INDEX_CONTENT_STORE, INDEX_POSTING_STORE];
+
+const INDEX_MAX_TEXT_LENGTH = 200000; // characters of a module that are indexed
+const LOCAL_SEARCH_MAX_CLAUSES = 10;
+const LOCAL_SEARCH_MIN_PREFIX = 2; // shorter prefixes match too much to be useful
+const LOCAL_SEARCH_MAX_PREFIX_POSTINGS = 20000;
+const LOCAL_SEARCH_DEFAULT_PAGE_SIZE = 20;
+const LOCAL_SEARCH_MAX_PAGE_SIZE = 100;
+const LOCAL_SNIPPET_WORDS_BEFORE = 8;
+const LOCAL_SNIPPET_WORDS_AFTER = 24;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_MATCH_WEIGHT = 3; // a title match counts as this many body matches
+
+let indexDbPromise = null;
+let indexQueue = Promise.resolve(); // writes run one at a time
+let indexSynced = null;
+
+function openIndexDb() {
+  if (!indexDbPromise) {
+    indexDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(INDEX_DB_NAME, INDEX_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(INDEX_DOCUMENT_STORE, { keyPath: 'key' });
+        db.createObjectStore(INDEX_CONTENT_STORE, { keyPath: 'key' });
+        db.createObjectStore(INDEX_POSTING_STORE, { keyPath: ['term', 'doc'] });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        indexDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return indexDbPromise;
+}
+
+async function withIndexStores(mode, callback) {
+  const db = await openIndexDb();
+  const transaction = db.transaction(INDEX_STORES, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const stores = Object.fromEntries(INDEX_STORES.map((name) => [name, transaction.objectStore(name)]));
+  const result = await callback(stores);
+  await done;
+
+  return result;
+}
+
+function queueIndexWrite(task) {
+  const run = indexQueue.then(task);
+  indexQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Words with their character offsets; letters and digits only, lower case.
+ * A code such as 32-11-11-400-001 becomes five words in a row, so it is
+ * found as a phrase.
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * The searchable text of a parsed module; the title comes first so that
+ * title matches can be told apart by position
+ */
+function indexableText(parsed) {
+  const lines = [parsed.title || '', parsed.dmCode || ''];
+  const push = (value) => {
+    if (value) lines.push(String(value));
+  };
+
+  parsed.warnings.forEach((item) => push(item.text));
+  parsed.cautions.forEach((item) => push(item.text));
+  parsed.notes.forEach((item) => push(item.text));
+  Object.values(parsed.preliminaryRequirements).flat().forEach(push);
+  [...parsed.tools, ...parsed.consumables, ...parsed.spares]
+    .forEach((item) => push([item.name, item.partNumber].filter(Boolean).join(' ')));
+
+  const walk = (steps) => steps.forEach((step) => {
+    push(step.text);
+    [...step.warnings, ...step.cautions, ...step.notes].forEach((item) => push(item.text));
+    walk(step.steps);
+  });
+  walk(parsed.steps);
+  parsed.closeRequirements.forEach(push);
+
+  return lines.join('\n').slice(0, INDEX_MAX_TEXT_LENGTH);
+}
+
+function indexDocumentKey(instance, dataModuleId) {
+  return `${instance}|${dataModuleId}`;
+}
+
+/**
+ * (Re)index a module from its raw cached content. Content that cannot be
+ * parsed is left out of the index.
+ */
+function indexCachedModule(instance, dataModuleId, data, revision) {
+  return queueIndexWrite(async () => {
+    let parsed;
+    try {
+      parsed = parseDataModule(data, { dataModuleId });
+    } catch (error) {
+      logger.debug(`⚠️ Not indexing ${dataModuleId}: ${error.message}`);
+      return false;
+    }
+
+    const key = indexDocumentKey(instance, dataModuleId);
+    const text = indexableText(parsed);
+    const tokens = tokenize(text);
+    const titleLength = tokenize(parsed.title || '').length;
+
+    const postings = new Map();
+    tokens.forEach(({ term }, position) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(position);
+    });
+
+    await withIndexStores('readwrite', async (stores) => {
+      const previous = await requestToPromise(stores[INDEX_CONTENT_STORE].get(key));
+      previous?.terms.filter((term) => !postings.has(term))
+        .forEach((term) => stores[INDEX_POSTING_STORE].delete([term, key]));
+
+      postings.forEach((positions, term) => stores[INDEX_POSTING_STORE].put({ term, doc: key, positions }));
+      stores[INDEX_CONTENT_STORE].put({ key, text, terms: [...postings.keys()] });
+      stores[INDEX_DOCUMENT_STORE].put({
+        key,
+        instance,
+        dataModuleId,
+        dmCode: parsed.dmCode,
+        title: parsed.title,
+        revision,
+        applicability: parsed.applicability,
+        length: tokens.length,
+        titleLength,
+        indexedAt: Date.now()
+      });
+    });
+
+    return true;
+  });
+}
+
+/**
+ * Drop modules from the index: [{ instance, dataModuleId }]
+ */
+function unindexModules(modules) {
+  return queueIndexWrite(() => withIndexStores('readwrite', async (stores) => {
+    for (const { instance, dataModuleId } of modules) {
+      const key = indexDocumentKey(instance, dataModuleId);
+      const content = await requestToPromise(stores[INDEX_CONTENT_STORE].get(key));
+      content?.terms.forEach((term) => stores[INDEX_POSTING_STORE].delete([term, key]));
+      stores[INDEX_CONTENT_STORE].delete(key);
+      stores[INDEX_DOCUMENT_STORE].delete(key);
+    }
+  }));
+}
+
+/**
+ * Bring the index in line with the cache: index modules cached before the
+ * index existed or at a newer revision, drop modules no longer cached.
+ * Runs once per worker lifetime; later changes are indexed as they happen.
+ */
+function syncLocalIndex() {
+  if (!indexSynced) {
+    indexSynced = (async () => {
+      const cached = await listCachedModules();
+      const documents = await withIndexStores('readonly', (stores) => requestToPromise(stores[INDEX_DOCUMENT_STORE].getAll()));
+      const indexed = new Map(documents.map((doc) => [doc.key, doc]));
+      const wanted = new Set();
+      let added = 0;
+
+      for (const record of cached) {
+        const key = indexDocumentKey(record.instance, record.dataModuleId);
+        wanted.add(key);
+        const doc = indexed.get(key);
+        if (doc && doc.revision === record.revision && doc.indexedAt >= record.fetchedAt) {
+          continue;
+        }
+        const full = await readCachedModule(record.key);
+        if (full && await indexCachedModule(record.instance, record.dataModuleId, full.data, record.revision)) {
+          added++;
+        }
+      }
+
+      const orphans = documents.filter((doc) => !wanted.has(doc.key));
+      if (orphans.length) {
+        await unindexModules(orphans);
+      }
+
+      if (added || orphans.length) {
+        logger.info(`🔎 Local index synced: ${added} indexed, ${orphans.length} removed`);
+      }
+    })().catch((error) => {
+      indexSynced = null;
+      throw error;
+    });
+  }
+
+  return indexSynced;
+}
+
+/**
+ * Split a query into clauses that must all match. A clause is a word, a
+ * "quoted phrase", or either ending in * for a prefix match on its last word.
+ */
+function parseLocalQuery(query) {
+  const clauses = [];
+
+  for (const match of String(query).matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const raw = (match[1] ?? match[2]).trim();
+    const prefix = raw.endsWith('*');
+    const terms = tokenize(prefix ? raw.slice(0, -1) : raw).map((token) => token.term);
+    if (!terms.length) continue;
+
+    clauses.push({
+      terms,
+      prefix: prefix && terms[terms.length - 1].length >= LOCAL_SEARCH_MIN_PREFIX
+    });
+  }
+
+  return clauses.slice(0, LOCAL_SEARCH_MAX_CLAUSES);
+}
+
+/**
+ * doc -> sorted positions of a term, or of every term starting with it
+ */
+async function readPostings(store, term, prefix) {
+  const range = prefix
+    ? IDBKeyRange.bound([term, ''], [`${term}\uffff`, ''], false, true)
+    : IDBKeyRange.bound([term, ''], [term, '\uffff']);
+  const records = await requestToPromise(store.getAll(range, prefix ? LOCAL_SEARCH_MAX_PREFIX_POSTINGS : undefined));
+
+  const byDoc = new Map();
+  for (const record of records) {
+    byDoc.set(record.doc, (byDoc.get(record.doc) || []).concat(record.positions));
+  }
+  if (prefix) {
+    byDoc.forEach((positions) => positions.sort((a, b) => a - b));
+  }
+  return byDoc;
+}
+
+/**
+ * doc -> positions where the clause starts (every word in sequence)
+ */
+async function matchClause(store, clause) {
+  const lists = [];
+  for (const [index, term] of clause.terms.entries()) {
+    lists.push(await readPostings(store, term, clause.prefix && index === clause.terms.length - 1));
+  }
+
+  const matches = new Map();
+  const [first, ...rest] = lists;
+  const restSets = rest.map((list) => new Map([...list].map(([doc, positions]) => [doc, new Set(positions)])));
+
+  for (const [doc, positions] of first) {
+    const starts = positions.filter((position) => restSets.every((sets, offset) => sets.get(doc)?.has(position + offset + 1)));
+    if (starts.length) {
+      matches.set(doc, starts);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Search the local index. Returns { results, total, page, pageSize,
+ * indexed }; each result is { dataModuleId, dmCode, title, revision,
+ * instance, score, snippet, highlights, applicability }, with highlights
+ * as [start, end] offsets into the snippet.
+ */
+async function searchLocalIndex(query, { page = 1, pageSize = LOCAL_SEARCH_DEFAULT_PAGE_SIZE, instance = null } = {}) {
+  const clauses = parseLocalQuery(query);
+  if (!clauses.length) {
+    throw new BridgeError(ERROR_CODES.INVALID_ARGUMENT, 'Query has no searchable words', { details: { query } });
+  }
+
+  await syncLocalIndex().catch((error) => logger.warn('⚠️ Local index sync failed:', error));
+
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || LOCAL_SEARCH_DEFAULT_PAGE_SIZE, 1), LOCAL_SEARCH_MAX_PAGE_SIZE);
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+
+  return withIndexStores('readonly', async (stores) => {
+    const documents = (await requestToPromise(stores[INDEX_DOCUMENT_STORE].getAll()))
+      .filter((doc) => !instance || doc.instance === instance);
+    const byKey = new Map(documents.map((doc) => [doc.key, doc]));
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+    const clauseMatches = [];
+    for (const clause of clauses) {
+      const matches = await matchClause(stores[INDEX_POSTING_STORE], clause);
+      [...matches.keys()].forEach((doc) => byKey.has(doc) || matches.delete(doc));
+      clauseMatches.push(matches);
+    }
+
+    // Every clause must match; rank what is left
+    const [smallest] = [...clauseMatches].sort((a, b) => a.size - b.size);
+    const scored = [];
+    for (const key of smallest.keys()) {
+      if (!clauseMatches.every((matches) => matches.has(key))) continue;
+
+      const doc = byKey.get(key);
+      let score = 0;
+      clauseMatches.forEach((matches) => {
+        const starts = matches.get(key);
+        const frequency = starts.length + (TITLE_MATCH_WEIGHT - 1) * starts.filter((position) => position < doc.titleLength).length;
+        const idf = Math.log(1 + (documents.length - matches.size + 0.5) / (matches.size + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1)));
+      });
+      scored.push({ doc, score });
+    }
+
+    // Without an instance, one hit per module: the best of its instances
+    const best = new Map();
+    for (const hit of scored) {
+      const group = instance ? hit.doc.key : hit.doc.dataModuleId;
+      if (!best.has(group) || best.get(group).score < hit.score) {
+        best.set(group, hit);
+      }
+    }
+    const ranked = [...best.values()].sort((a, b) => b.score - a.score ||
+      String(a.doc.title || a.doc.dataModuleId).localeCompare(String(b.doc.title || b.doc.dataModuleId)));
+
+    const pageHits = ranked.slice((pageNumber - 1) * size, pageNumber * size);
+    const results = [];
+    for (const { doc, score } of pageHits) {
+      const content = await requestToPromise(stores[INDEX_CONTENT_STORE].get(doc.key));
+      const spans = clauses.flatMap((clause, index) =>
+        clauseMatches[index].get(doc.key).map((start) => [start, start + clause.terms.length - 1]));
+      results.push({
+        dataModuleId: doc.dataModuleId,
+        dmCode: doc.dmCode,
+        title: doc.title,
+        revision: doc.revision,
+        instance: doc.instance,
+        score: Math.round(score * 1000) / 1000,
+        ...buildSnippet(content?.text || '', spans, doc.titleLength),
+        applicability: doc.applicability
+      });
+    }
+
+    return { results, total: ranked.length, page: pageNumber, pageSize: size, indexed: documents.length };
+  });
+}
+
+/**
+ * A stretch of text around the first match outside the title, with every
+ * matched word span in it highlighted. `spans` are [first, last] word
+ * positions.
+ */
+function buildSnippet(text, spans, titleLength) {
+  const tokens = tokenize(text);
+  if (!tokens.length) {
+    return { snippet: '', highlights: [] };
+  }
+
+  const sorted = [...spans].sort((a, b) => a[0] - b[0]);
+  const anchor = (sorted.find(([start]) => start >= titleLength) || sorted[0] || [0])[0];
+  const from = Math.max(0, anchor - LOCAL_SNIPPET_WORDS_BEFORE);
+  const to = Math.min(tokens.length - 1, anchor + LOCAL_SNIPPET_WORDS_AFTER);
+
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < tokens.length - 1 ? '…' : '';
+  const start = tokens[from].start;
+  const end = tokens[to].end;
+  const snippet = prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix;
+
+  const highlights = sorted
+    .filter(([first, last]) => first >= from && last <= to)
+    .map(([first, last]) => [tokens[first].start - start + prefix.length, tokens[last].end - start + prefix.length]);
+
+  return { snippet, highlights };
+}
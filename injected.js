@@ -1,65 +1,585 @@
 (function() {
     'use strict';
     
-    console.log('🔌 AirNavX Bridge API: Initializing...');
-    
     const MESSAGE_PREFIX = 'AIRNAVX_BRIDGE_';
+    const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+    
+    // Defaults until the content script sends the extension settings
+    const bridgeSettings = { requestTimeout: 30000, logLevel: 'info' };
+    
+    const logger = {
+        error: (...args) => logAt('error', args),
+        warn: (...args) => logAt('warn', args),
+        info: (...args) => logAt('info', args),
+        debug: (...args) => logAt('debug', args)
+    };
+    
+    function logAt(level, args) {
+        if (LOG_LEVELS[level] > (LOG_LEVELS[bridgeSettings.logLevel] ?? LOG_LEVELS.info)) return;
+        console[level === 'debug' || level === 'info' ? 'log' : level](...args);
+    }
+    
+    logger.info('🔌 AirNavX Bridge API: Initializing...');
+    
+    // Mirrors ERROR_CODES in errors.js, which the page cannot load
+    const ERROR_CODES = Object.freeze({
+        NOT_DETECTED: 'NOT_DETECTED',
+        TIMEOUT: 'TIMEOUT',
+        ABORTED: 'ABORTED',
+        HTTP_ERROR: 'HTTP_ERROR',
+        NETWORK_ERROR: 'NETWORK_ERROR',
+        FORBIDDEN_ORIGIN: 'FORBIDDEN_ORIGIN',
+        INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+        MODULE_NOT_FOUND: 'MODULE_NOT_FOUND',
+        GRAPHIC_NOT_FOUND: 'GRAPHIC_NOT_FOUND',
+        PARSE_ERROR: 'PARSE_ERROR',
+        BRIDGE_UNAVAILABLE: 'BRIDGE_UNAVAILABLE',
+        INTERNAL: 'INTERNAL'
+    });
+    const RETRYABLE_CODES = [
+        ERROR_CODES.NOT_DETECTED,
+        ERROR_CODES.TIMEOUT,
+        ERROR_CODES.NETWORK_ERROR,
+        ERROR_CODES.BRIDGE_UNAVAILABLE
+    ];
+    
+    /**
+     * Page-side error with the same fields as errors.js produces:
+     * code, retryable, status, attempts and details
+     */
+    class AirNavXBridgeError extends Error {
+        constructor(message, code, serialized = {}) {
+            super(message);
+            // Aborted calls look like any other aborted fetch to page code
+            this.name = code === ERROR_CODES.ABORTED ? 'AbortError' : 'AirNavXBridgeError';
+            this.code = code;
+            this.retryable = serialized.retryable ?? RETRYABLE_CODES.includes(code);
+            this.status = serialized.status ?? null;
+            this.attempts = serialized.attempts ?? null;
+            this.details = serialized.details ?? null;
+        }
+    }
+    
+    function bridgeError(message, code, serialized) {
+        return new AirNavXBridgeError(message, code, serialized || {});
+    }
+    
+    // Extension version is handed over by the content script on the <script> tag
+    const VERSION = document.currentScript?.dataset.version || 'unknown';
+    const CAPABILITIES = [
+        'detect',
+        'search',
+        'search:filters',
+        'search:applicability',
+        'search:localFallback',
+        'searchPages',
+        'searchAll',
+        'searchLocal',
+        'fetchContent',
+        'fetchContent:parse',
+        'fetchContentBatch',
+        'fetchGraphic',
+        'resolveReferences',
+        'exportTaskCard',
+        'diffContent',
+        'customFetch',
+        'getStatus',
+        'getAircraftContext',
+        'setAircraftContext',
+        'listInstances',
+        'pinModules',
+        'unpinModules',
+        'clearCache',
+        'getCacheStats',
+        'signal',
+        'timeout',
+        'progress',
+        'errorCodes',
+        'events'
+    ];
+    const EVENTS = ['statusChange', 'aircraftContextChange'];
     let requestCounter = 0;
     const pendingRequests = new Map();
+    const eventListeners = new Map(EVENTS.map((name) => [name, new Set()]));
     
     // Listen for responses from content script
     window.addEventListener('message', (event) => {
         // Only accept messages from same window
         if (event.source !== window) return;
         
-        const { type, requestId, result, error } = event.data;
+        const { type, requestId, result, error, errorCode, errorDetails } = event.data;
+        
+        // Live settings pushed by the content script
+        if (type === MESSAGE_PREFIX + 'SETTINGS') {
+            const { requestTimeout, logLevel } = event.data.settings || {};
+            if (Number.isInteger(requestTimeout) && requestTimeout > 0) {
+                bridgeSettings.requestTimeout = requestTimeout;
+            }
+            if (logLevel in LOG_LEVELS) {
+                bridgeSettings.logLevel = logLevel;
+            }
+            return;
+        }
+        
+        // Events pushed by the extension (e.g. connection status changes)
+        if (type === MESSAGE_PREFIX + 'EVENT') {
+            emit(event.data.event, event.data.detail);
+            return;
+        }
+        
+        // Progress of a long-running request
+        if (type === MESSAGE_PREFIX + 'PROGRESS') {
+            const pending = pendingRequests.get(requestId);
+            if (pending) {
+                notifyProgress(pending, requestId, event.data.progress);
+            }
+            return;
+        }
         
         // CRITICAL: Only handle RESPONSE messages
         if (type !== MESSAGE_PREFIX + 'RESPONSE') return;
         
-        console.log('📨 Received RESPONSE:', { requestId, hasResult: !!result, hasError: !!error });
+        logger.debug('📨 Received RESPONSE:', { requestId, hasResult: !!result, hasError: !!error });
         
         const pending = pendingRequests.get(requestId);
         if (pending) {
+            pending.cleanup();
             if (error) {
-                console.error('❌ Request failed:', error);
-                pending.reject(new Error(error));
+                logger.error('❌ Request failed:', error);
+                pending.reject(bridgeError(error, errorCode || ERROR_CODES.INTERNAL, errorDetails));
             } else {
-                console.log('✅ Request succeeded');
+                logger.info('✅ Request succeeded');
                 pending.resolve(result);
             }
             pendingRequests.delete(requestId);
         } else {
-            console.warn('⚠️ Received response for unknown request:', requestId);
+            logger.warn('⚠️ Received response for unknown request:', requestId);
         }
     });
     
     // Create the API - These methods ONLY send messages, they don't fetch!
     window.AirNavXBridge = {
-        detect: function(detailed = false) {
-            console.log('🔍 API: detect() called');
-            return sendMessage('detect', { detailed });
+        version: VERSION,
+        capabilities: CAPABILITIES.slice(),
+        ErrorCodes: ERROR_CODES,
+        BridgeError: AirNavXBridgeError,
+        
+        detect: function(forceRefresh = false, options = {}) {
+            logger.info('🔍 API: detect() called');
+            return sendMessage('detect', { forceRefresh }, options);
+        },
+        
+        /**
+         * search(query, options) - options: page, filters ({ ata, aircraftType,
+         * customization, doctype } or raw aggregation names), sort, order,
+         * aggregations, instance, refresh. search(query, page, options) still works.
+         */
+        search: function(query, options = {}, legacyOptions = {}) {
+            logger.info('🔍 API: search() called with query:', query);
+            if (typeof options === 'number') {
+                options = { ...legacyOptions, page: options };
+            }
+            return sendMessage('search', searchParams(query, options), options);
+        },
+        
+        /**
+         * Full-text search of the modules already in the offline cache.
+         * Words must all match; "quoted phrases" match in order and a
+         * trailing * matches a prefix. options: page, pageSize, instance,
+         * applicability.
+         */
+        searchLocal: function(query, options = {}) {
+            logger.info('🔎 API: searchLocal() called with query:', query);
+            return sendMessage('searchLocal', {
+                query,
+                page: options.page || 1,
+                pageSize: options.pageSize,
+                instance: options.instance,
+                applicability: options.applicability
+            }, options);
+        },
+        
+        /**
+         * Async iterator over result pages, starting at options.page
+         */
+        searchPages: async function*(query, options = {}) {
+            logger.info('🔍 API: searchPages() called with query:', query);
+            const { signal, timeout, onProgress } = options;
+            const deadline = timeout ? Date.now() + timeout : null;
+            let page = options.page || 1;
+            let seen = 0;
+            
+            while (true) {
+                if (deadline && Date.now() >= deadline) {
+                    throw bridgeError('Request timeout', ERROR_CODES.TIMEOUT);
+                }
+                
+                const result = await sendMessage('search', searchParams(query, { ...options, page }), {
+                    signal,
+                    timeout: deadline ? deadline - Date.now() : undefined,
+                    onProgress
+                });
+                // A page emptied by the applicability filter is not the last page
+                const fetched = (result.results || []).length + (result.filteredOut || 0);
+                if (!fetched) {
+                    return;
+                }
+                
+                yield result;
+                
+                seen += fetched;
+                if (typeof result.total === 'number' && seen >= result.total) {
+                    return;
+                }
+                page++;
+            }
+        },
+        
+        /**
+         * Collect results across pages, up to maxResults (default 200).
+         * timeout covers the whole walk; signal cancels the page in flight.
+         */
+        searchAll: async function(query, options = {}) {
+            logger.info('🔍 API: searchAll() called with query:', query);
+            const maxResults = options.maxResults || 200;
+            const collected = [];
+            let total = null;
+            let pages = 0;
+            let filteredOut = 0;
+            let aggregations = {};
+            let truncated = false;
+            
+            for await (const result of window.AirNavXBridge.searchPages(query, options)) {
+                pages++;
+                total = result.total ?? total;
+                if (pages === 1) {
+                    aggregations = result.aggregations || {};
+                }
+                
+                filteredOut += result.filteredOut || 0;
+                collected.push(...result.results);
+                if (collected.length >= maxResults) {
+                    truncated = collected.length > maxResults || total === null || total > maxResults;
+                    break;
+                }
+            }
+            
+            return {
+                success: true,
+                results: collected.slice(0, maxResults),
+                total,
+                pages,
+                truncated,
+                filteredOut,
+                aggregations
+            };
+        },
+        
+        fetchContent: function(dataModuleId, options = {}) {
+            logger.info('📄 API: fetchContent() called for:', dataModuleId);
+            return sendMessage('fetchContent', {
+                dataModuleId,
+                instance: options.instance,
+                parse: !!options.parse,
+                refresh: !!options.refresh
+            }, options);
+        },
+        
+        /**
+         * Fetch many modules through a bounded queue in the extension.
+         * options: concurrency (1-8, default 4), instance, parse, refresh,
+         * onItem(item) for each module as it completes, plus the usual
+         * signal / timeout / onProgress. The default timeout scales with the batch.
+         */
+        fetchContentBatch: function(dataModuleIds, options = {}) {
+            const ids = [].concat(dataModuleIds);
+            logger.info(`📦 API: fetchContentBatch() called for ${ids.length} modules`);
+            
+            const concurrency = options.concurrency || 4;
+            const { onItem, onProgress } = options;
+            
+            return sendMessage('fetchContentBatch', {
+                dataModuleIds: ids,
+                concurrency,
+                instance: options.instance,
+                parse: !!options.parse,
+                refresh: !!options.refresh
+            }, {
+                signal: options.signal,
+                timeout: options.timeout || bridgeSettings.requestTimeout * Math.max(1, Math.ceil(ids.length / concurrency)),
+                onProgress: (progress) => {
+                    if (progress.stage === 'item' && typeof onItem === 'function') {
+                        onItem(progress.item);
+                    }
+                    onProgress?.(progress);
+                }
+            });
+        },
+        
+        /**
+         * Fetch an ICN graphic as a Blob. With options.objectURL the result
+         * also carries `url`; revoke it with URL.revokeObjectURL when done.
+         */
+        fetchGraphic: async function(icnId, options = {}) {
+            logger.info('🖼️ API: fetchGraphic() called for:', icnId);
+            const result = await sendMessage('fetchGraphic', {
+                icnId,
+                instance: options.instance,
+                refresh: !!options.refresh
+            }, options);
+            
+            const { data, ...rest } = result;
+            const blob = new Blob([base64ToBytes(data)], { type: result.mimeType });
+            
+            return options.objectURL
+                ? { ...rest, blob, url: URL.createObjectURL(blob) }
+                : { ...rest, blob };
         },
         
-        search: function(query, page = 1) {
-            console.log('🔍 API: search() called with query:', query);
-            return sendMessage('search', { query, page });
+        /**
+         * Build the graph of modules referenced from dataModuleId, following
+         * references up to options.depth hops (default 1)
+         */
+        resolveReferences: function(dataModuleId, options = {}) {
+            logger.info('🕸️ API: resolveReferences() called for:', dataModuleId);
+            const depth = options.depth ?? 1;
+            return sendMessage('resolveReferences', {
+                dataModuleId,
+                depth,
+                maxNodes: options.maxNodes,
+                includeExternal: !!options.includeExternal,
+                instance: options.instance,
+                refresh: !!options.refresh
+            }, {
+                ...options,
+                // Each hop is a round of fetches
+                timeout: options.timeout || bridgeSettings.requestTimeout * (Math.max(0, depth) + 1)
+            });
         },
         
-        fetchContent: function(dataModuleId) {
-            console.log('📄 API: fetchContent() called for:', dataModuleId);
-            return sendMessage('fetchContent', { dataModuleId });
+        /**
+         * Export one module or a work package as task cards.
+         * options: format ('html', 'csv' or 'json'), forPrint (use the
+         * AirNavX print layout), title, concurrency, instance, refresh.
+         * Resolves with the file as `blob` and its `filename`; with
+         * options.objectURL also `url`, to revoke when done.
+         */
+        exportTaskCard: async function(dataModuleIds, options = {}) {
+            const ids = [].concat(dataModuleIds);
+            logger.info(`🗂️ API: exportTaskCard() called for ${ids.length} modules`);
+            
+            const concurrency = options.concurrency || 4;
+            const result = await sendMessage('exportTaskCard', {
+                dataModuleIds: ids,
+                format: options.format || 'html',
+                forPrint: !!options.forPrint,
+                title: options.title,
+                concurrency,
+                instance: options.instance,
+                refresh: !!options.refresh
+            }, {
+                ...options,
+                timeout: options.timeout || bridgeSettings.requestTimeout * Math.max(1, Math.ceil(ids.length / concurrency))
+            });
+            
+            const { content, ...rest } = result;
+            const blob = new Blob([content], { type: `${result.mimeType};charset=utf-8` });
+            
+            return options.objectURL
+                ? { ...rest, blob, url: URL.createObjectURL(blob) }
+                : { ...rest, blob };
+        },
+        
+        /**
+         * What changed in a module since an earlier revision. options.against:
+         * 'previous' (default), a cached revision, or { data } / { parsed }
+         * kept by the page
+         */
+        diffContent: function(dataModuleId, options = {}) {
+            logger.info('🔀 API: diffContent() called for:', dataModuleId);
+            return sendMessage('diffContent', {
+                dataModuleId,
+                against: options.against ?? 'previous',
+                instance: options.instance
+            }, options);
+        },
+        
+        customFetch: function(endpoint, options = {}) {
+            logger.info('🛠️ API: customFetch() called for:', endpoint);
+            const { method, params, body, instance } = options;
+            return sendMessage('customFetch', { endpoint, method, params, body, instance }, options);
+        },
+        
+        listInstances: function(forceRefresh = false, options = {}) {
+            logger.info('📚 API: listInstances() called');
+            return sendMessage('listInstances', { forceRefresh }, options);
+        },
+        
+        pinModules: function(dataModuleIds, options = {}) {
+            logger.info('📌 API: pinModules() called for:', dataModuleIds);
+            return sendMessage('pinModules', { dataModuleIds: [].concat(dataModuleIds), instance: options.instance }, options);
+        },
+        
+        unpinModules: function(dataModuleIds, options = {}) {
+            logger.info('📌 API: unpinModules() called for:', dataModuleIds);
+            return sendMessage('unpinModules', { dataModuleIds: [].concat(dataModuleIds), instance: options.instance }, options);
+        },
+        
+        clearCache: function(options = {}) {
+            logger.info('🧹 API: clearCache() called');
+            return sendMessage('clearCache', { includePinned: !!options.includePinned }, options);
+        },
+        
+        getCacheStats: function(options = {}) {
+            logger.info('📊 API: getCacheStats() called');
+            return sendMessage('getCacheStats', {}, options);
+        },
+        
+        getStatus: function(options = {}) {
+            logger.info('📊 API: getStatus() called');
+            return sendMessage('getStatus', {}, options);
+        },
+        
+        getAircraftContext: function(options = {}) {
+            logger.info('✈️ API: getAircraftContext() called');
+            return sendMessage('getAircraftContext', {}, options);
+        },
+        
+        /**
+         * Set the aircraft for this browser session: { aircraftType,
+         * customization, msn, mods }. Pass null to clear it.
+         */
+        setAircraftContext: function(context, options = {}) {
+            logger.info('✈️ API: setAircraftContext() called');
+            return sendMessage('setAircraftContext', { context }, options);
+        },
+        
+        /**
+         * Subscribe to bridge events. 'statusChange' fires with
+         * { type: 'connected' | 'disconnected' | 'instanceChanged', connected,
+         * instance, previousInstance, ... }; 'aircraftContextChange' with
+         * { context, timestamp }
+         */
+        on: function(eventName, callback) {
+            if (!eventListeners.has(eventName)) {
+                throw bridgeError(`Unknown event: ${eventName}`, ERROR_CODES.INVALID_ARGUMENT);
+            }
+            eventListeners.get(eventName).add(callback);
+            return window.AirNavXBridge;
+        },
+        
+        off: function(eventName, callback) {
+            eventListeners.get(eventName)?.delete(callback);
+            return window.AirNavXBridge;
         }
     };
     
-    // CRITICAL: This function ONLY sends postMessage, does NOT fetch!
-    function sendMessage(method, params) {
+    Object.freeze(window.AirNavXBridge.capabilities);
+    
+    function emit(eventName, detail) {
+        const listeners = eventListeners.get(eventName);
+        if (!listeners) return;
+        
+        logger.debug(`📣 ${eventName}:`, detail);
+        for (const callback of listeners) {
+            try {
+                callback(detail);
+            } catch (error) {
+                logger.error(`❌ ${eventName} listener threw:`, error);
+            }
+        }
+    }
+    
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+    
+    function searchParams(query, options) {
+        const { page = 1, filters, sort, order, aggregations, applicability, localFallback, instance, refresh } = options;
+        return {
+            query,
+            page,
+            filters: filters || {},
+            sort,
+            order,
+            aggregations: !!aggregations,
+            applicability,
+            localFallback: localFallback !== false,
+            instance,
+            refresh: !!refresh
+        };
+    }
+    
+    function notifyProgress(pending, requestId, progress) {
+        const detail = { requestId, method: pending.method, ...progress };
+        
+        if (typeof pending.onProgress === 'function') {
+            try {
+                pending.onProgress(detail);
+            } catch (error) {
+                logger.warn('⚠️ onProgress callback threw:', error);
+            }
+        }
+        window.dispatchEvent(new CustomEvent('airnavx-bridge-progress', { detail }));
+    }
+    
+    /**
+     * CRITICAL: This function ONLY sends postMessage, does NOT fetch!
+     *
+     * options.signal (AbortSignal) and options.timeout (ms) end the call early;
+     * either one also cancels the work in the extension. options.onProgress
+     * receives progress updates for long-running calls.
+     */
+    function sendMessage(method, params, options = {}) {
+        const { signal, onProgress } = options;
+        const timeout = options.timeout > 0 ? options.timeout : bridgeSettings.requestTimeout;
+        
         return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(bridgeError('Request aborted', ERROR_CODES.ABORTED));
+                return;
+            }
+            
             const requestId = ++requestCounter;
             
-            console.log('📤 Sending REQUEST to content script:', { requestId, method, params });
+            logger.debug('📤 Sending REQUEST to content script:', { requestId, method, params });
+            
+            const cancel = (reason, err) => {
+                if (!pendingRequests.has(requestId)) return;
+                
+                pendingRequests.get(requestId).cleanup();
+                pendingRequests.delete(requestId);
+                window.postMessage({ type: MESSAGE_PREFIX + 'CANCEL', requestId, reason }, '*');
+                reject(err);
+            };
+            
+            // Timeout after the per-call or configured request timeout
+            const timeoutId = setTimeout(() => {
+                logger.error('⏱️ Request timeout:', { requestId, method });
+                cancel('timeout', bridgeError('Request timeout', ERROR_CODES.TIMEOUT));
+            }, timeout);
             
-            pendingRequests.set(requestId, { resolve, reject });
+            const onAbort = () => {
+                logger.info('🛑 Request aborted:', { requestId, method });
+                cancel('cancelled', bridgeError('Request aborted', ERROR_CODES.ABORTED));
+            };
+            signal?.addEventListener('abort', onAbort);
+            
+            pendingRequests.set(requestId, {
+                resolve,
+                reject,
+                method,
+                onProgress,
+                cleanup: () => {
+                    clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', onAbort);
+                }
+            });
             
             // Send message to content script (which will do the actual fetch)
             window.postMessage({
@@ -68,21 +588,16 @@
                 params,
                 requestId
             }, '*');
-            
-            // Timeout after 30 seconds
-            setTimeout(() => {
-                if (pendingRequests.has(requestId)) {
-                    console.error('⏱️ Request timeout:', { requestId, method });
-                    pendingRequests.delete(requestId);
-                    reject(new Error('Request timeout'));
-                }
-            }, 30000);
         });
     }
     
-    console.log('✅ AirNavX Bridge API ready');
-    console.log('📋 Available methods: detect(), search(), fetchContent()');
+    logger.info('✅ AirNavX Bridge API ready');
+    logger.info(`📋 Available methods: ${CAPABILITIES.map((name) => name + '()').join(', ')}`);
     
     // Dispatch custom event to notify page that API is ready
-    window.dispatchEvent(new CustomEvent('AirNavXBridgeReady'));
+    const readyDetail = { version: VERSION, capabilities: CAPABILITIES.slice() };
+    window.dispatchEvent(new CustomEvent('airnavx-bridge-ready', { detail: readyDetail }));
+    
+    // Legacy event name, kept for pages written against earlier builds
+    window.dispatchEvent(new CustomEvent('AirNavXBridgeReady', { detail: readyDetail }));
 })();
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * AirNavX Bridge - Options Page Script
+ */
+
+const ALLOWED_ORIGINS_KEY = 'allowed_origins';
+const AUDIT_VIEW_LIMIT = 500; // rows shown; exports include every matching entry
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const originList = document.getElementById('originList');
+  const originEmpty = document.getElementById('originEmpty');
+  const settingsForm = document.getElementById('settingsForm');
+  const resetBtn = document.getElementById('resetBtn');
+  const closeBtn = document.getElementById('closeBtn');
+  const successMsg = document.getElementById('successMsg');
+  const errorMsg = document.getElementById('errorMsg');
+
+  const fields = {
+    hosts: document.getElementById('hostsInput'),
+    candidatePorts: document.getElementById('portsInput'),
+    pinnedEndpoint: document.getElementById('pinnedInput'),
+    detectionTimeout: document.getElementById('detectionTimeoutInput'),
+    cacheDuration: document.getElementById('cacheDurationInput'),
+    healthCheckInterval: document.getElementById('healthCheckInput'),
+    requestTimeout: document.getElementById('requestTimeoutInput'),
+    maxConcurrentRequests: document.getElementById('maxConcurrentInput'),
+    maxRetries: document.getElementById('maxRetriesInput'),
+    searchAggregations: document.getElementById('aggregationsInput'),
+    cacheFreshFor: document.getElementById('cacheFreshInput'),
+    cacheMaxAge: document.getElementById('cacheMaxAgeInput'),
+    cacheMaxEntries: document.getElementById('cacheMaxEntriesInput'),
+    cacheMaxBytes: document.getElementById('cacheMaxSizeInput'),
+    auditMaxAge: document.getElementById('auditMaxAgeInput'),
+    auditMaxEntries: document.getElementById('auditMaxEntriesInput'),
+    autolinkOrigins: document.getElementById('autolinkInput'),
+    logLevel: document.getElementById('logLevelSelect')
+  };
+  const cacheStats = document.getElementById('cacheStats');
+  const clearCacheBtn = document.getElementById('clearCacheBtn');
+  const clearAllCacheBtn = document.getElementById('clearAllCacheBtn');
+  const auditFilters = {
+    origin: document.getElementById('auditOriginFilter'),
+    method: document.getElementById('auditMethodFilter'),
+    outcome: document.getElementById('auditOutcomeFilter'),
+    text: document.getElementById('auditTextFilter'),
+    from: document.getElementById('auditFromFilter'),
+    to: document.getElementById('auditToFilter')
+  };
+  const auditSummary = document.getElementById('auditSummary');
+  const auditRows = document.getElementById('auditRows');
+  let auditEntries = [];
+
+  fillSettingsForm(await loadSettings());
+  await renderAllowedOrigins();
+  await renderCacheStats();
+  await loadAuditLog();
+
+  settingsForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      const saved = await saveSettings(readSettingsForm());
+      fillSettingsForm(saved);
+      showMessage(successMsg, 'Settings saved!');
+    } catch (error) {
+      showMessage(errorMsg, error.message);
+    }
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    fillSettingsForm(await saveSettings(DEFAULT_SETTINGS));
+    showMessage(successMsg, 'Default settings restored.');
+  });
+
+  closeBtn.addEventListener('click', () => window.close());
+
+  clearCacheBtn.addEventListener('click', () => clearCache(false));
+  clearAllCacheBtn.addEventListener('click', () => {
+    if (confirm('Also remove modules pinned for offline use?')) {
+      clearCache(true);
+    }
+  });
+
+  Object.values(auditFilters).forEach((input) => input.addEventListener('input', renderAuditLog));
+  document.getElementById('auditCsvBtn').addEventListener('click', () =>
+    downloadFile(auditEntriesToCsv(filteredAuditEntries()), 'text/csv', 'csv'));
+  document.getElementById('auditJsonBtn').addEventListener('click', () =>
+    downloadFile(auditEntriesToJson(filteredAuditEntries()), 'application/json', 'json'));
+  document.getElementById('auditClearBtn').addEventListener('click', clearAudit);
+  document.getElementById('auditRefreshBtn').addEventListener('click', loadAuditLog);
+
+  // The log grows with every bridge call; read it again when the page is looked at
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      loadAuditLog();
+    }
+  });
+
+  // Another options tab may have saved in the meantime
+  onSettingsChanged((settings) => fillSettingsForm(settings));
+
+  // Keep the list in sync with grants made from consent prompts
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ALLOWED_ORIGINS_KEY]) {
+      renderAllowedOrigins();
+    }
+  });
+
+  /**
+   * Populate the form from a settings object
+   */
+  function fillSettingsForm(settings) {
+    fields.hosts.value = settings.hosts.join(', ');
+    fields.candidatePorts.value = settings.candidatePorts.join(', ');
+    fields.pinnedEndpoint.value = settings.pinnedEndpoint;
+    fields.detectionTimeout.value = settings.detectionTimeout;
+    fields.cacheDuration.value = Math.round(settings.cacheDuration / 1000);
+    fields.healthCheckInterval.value = Math.round(settings.healthCheckInterval / 1000);
+    fields.requestTimeout.value = settings.requestTimeout;
+    fields.maxConcurrentRequests.value = settings.maxConcurrentRequests;
+    fields.maxRetries.value = settings.maxRetries;
+    fields.searchAggregations.value = settings.searchAggregations.join(', ');
+    fields.cacheFreshFor.value = Math.round(settings.cacheFreshFor / 60000);
+    fields.cacheMaxAge.value = Math.round(settings.cacheMaxAge / 86400000);
+    fields.cacheMaxEntries.value = settings.cacheMaxEntries;
+    fields.cacheMaxBytes.value = Math.round(settings.cacheMaxBytes / 1048576);
+    fields.auditMaxAge.value = Math.round(settings.auditMaxAge / 86400000);
+    fields.auditMaxEntries.value = settings.auditMaxEntries;
+    fields.autolinkOrigins.value = settings.autolinkOrigins.join('\n');
+    fields.logLevel.value = settings.logLevel;
+  }
+
+  /**
+   * Read and validate the form, throwing on the first invalid field
+   */
+  function readSettingsForm() {
+    const list = (input) => input.value.split(',').map((item) => item.trim()).filter(Boolean);
+    const number = (input, label, min) => {
+      const value = Number(input.value);
+      if (!Number.isInteger(value) || value < min) {
+        throw new Error(`${label} must be a whole number of at least ${min}`);
+      }
+      return value;
+    };
+
+    const hosts = list(fields.hosts);
+    if (!hosts.length) {
+      throw new Error('At least one host is required');
+    }
+
+    const candidatePorts = list(fields.candidatePorts).map(Number);
+    if (!candidatePorts.length || candidatePorts.some((port) => !Number.isInteger(port) || port < 1 || port > 65535)) {
+      throw new Error('Candidate ports must be numbers between 1 and 65535');
+    }
+
+    const autolinkOrigins = fields.autolinkOrigins.value.split(/[\s,]+/).filter(Boolean);
+    const invalidOrigin = autolinkOrigins.find((origin) => !parseOrigin(origin));
+    if (invalidOrigin) {
+      throw new Error(`Auto-link sites must look like https://example.com (got "${invalidOrigin}")`);
+    }
+
+    const pinnedEndpoint = fields.pinnedEndpoint.value.trim();
+    if (pinnedEndpoint && !parseEndpoint(pinnedEndpoint)) {
+      throw new Error('Pinned endpoint must look like host:port');
+    }
+
+    return {
+      hosts,
+      candidatePorts,
+      pinnedEndpoint,
+      detectionTimeout: number(fields.detectionTimeout, 'Detection timeout', 100),
+      cacheDuration: number(fields.cacheDuration, 'Detection cache', 1) * 1000,
+      healthCheckInterval: number(fields.healthCheckInterval, 'Health check', 30) * 1000,
+      requestTimeout: number(fields.requestTimeout, 'Request timeout', 1000),
+      maxConcurrentRequests: number(fields.maxConcurrentRequests, 'Concurrent requests', 1),
+      maxRetries: number(fields.maxRetries, 'Retries', 0),
+      searchAggregations: list(fields.searchAggregations),
+      cacheFreshFor: number(fields.cacheFreshFor, 'Cache refresh', 1) * 60000,
+      cacheMaxAge: number(fields.cacheMaxAge, 'Cache max age', 1) * 86400000,
+      cacheMaxEntries: number(fields.cacheMaxEntries, 'Cache max entries', 1),
+      cacheMaxBytes: number(fields.cacheMaxBytes, 'Cache max size', 1) * 1048576,
+      auditMaxAge: number(fields.auditMaxAge, 'Audit log retention', 1) * 86400000,
+      auditMaxEntries: number(fields.auditMaxEntries, 'Audit log max entries', 100),
+      autolinkOrigins,
+      logLevel: fields.logLevel.value
+    };
+  }
+
+  function showMessage(element, text) {
+    successMsg.style.display = 'none';
+    errorMsg.style.display = 'none';
+
+    element.textContent = text;
+    element.style.display = 'block';
+    setTimeout(() => { element.style.display = 'none'; }, 3000);
+  }
+
+  /**
+   * Show what the offline cache currently holds
+   */
+  async function renderCacheStats() {
+    const result = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+
+    if (!result?.success) {
+      cacheStats.textContent = `Cache unavailable: ${result?.error || 'no response'}`;
+      return;
+    }
+
+    const { modules, searches, graphics, pinned, bytes } = result.stats;
+    cacheStats.textContent = `${modules} module revisions, ${searches} searches and ${graphics} graphics cached ` +
+      `(${(bytes / 1048576).toFixed(1)} MB), ${pinned} modules pinned for offline use.`;
+  }
+
+  async function clearCache(includePinned) {
+    const result = await chrome.runtime.sendMessage({ action: 'clearCache', includePinned });
+
+    if (result?.success) {
+      showMessage(successMsg, `Removed ${result.removed} cache entries.`);
+    } else {
+      showMessage(errorMsg, result?.error || 'Could not clear the cache');
+    }
+    await renderCacheStats();
+  }
+
+  /**
+   * Audit log viewer; newest entries first
+   */
+  async function loadAuditLog() {
+    auditEntries = await getAuditLog();
+
+    for (const [select, values] of [
+      [auditFilters.origin, auditEntries.map((entry) => entry.origin)],
+      [auditFilters.method, auditEntries.map((entry) => entry.method)]
+    ]) {
+      const selected = select.value;
+      select.length = 1; // keep the "All" option
+      [...new Set(values.filter(Boolean))].sort().forEach((value) => select.add(new Option(value, value)));
+      select.value = selected;
+    }
+
+    renderAuditLog();
+  }
+
+  function filteredAuditEntries() {
+    const day = (input, endOfDay) => input.value
+      ? new Date(`${input.value}T00:00`).getTime() + (endOfDay ? 86400000 - 1 : 0)
+      : null;
+
+    return filterAuditEntries(auditEntries, {
+      origin: auditFilters.origin.value,
+      method: auditFilters.method.value,
+      outcome: auditFilters.outcome.value,
+      text: auditFilters.text.value,
+      from: day(auditFilters.from, false),
+      to: day(auditFilters.to, true)
+    }).reverse();
+  }
+
+  function renderAuditLog() {
+    const entries = filteredAuditEntries();
+    auditSummary.textContent = entries.length > AUDIT_VIEW_LIMIT
+      ? `Showing the latest ${AUDIT_VIEW_LIMIT} of ${entries.length} matching entries (${auditEntries.length} in the log).`
+      : `${entries.length} matching entries (${auditEntries.length} in the log).`;
+
+    auditRows.innerHTML = '';
+    for (const entry of entries.slice(0, AUDIT_VIEW_LIMIT)) {
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.origin || '',
+        entry.method,
+        describeAuditArguments(entry.arguments),
+        entry.errorCode ? `${entry.outcome} (${entry.errorCode})` : entry.outcome,
+        `${entry.latency} ms`,
+        entry.bytes ? `${(entry.bytes / 1024).toFixed(1)} KB${entry.fromCache ? ', cached' : ''}` : ''
+      ];
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 3) cell.className = 'audit-args';
+        if (index === 4) cell.className = `outcome-${entry.outcome}`;
+        row.appendChild(cell);
+      });
+      row.title = entry.tabId !== null ? `${entry.channel}, tab ${entry.tabId}` : entry.channel;
+      auditRows.appendChild(row);
+    }
+  }
+
+  function downloadFile(content, mimeType, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `airnavx-audit-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function clearAudit() {
+    if (!confirm('Delete every audit log entry? Export the log first if it must be kept.')) {
+      return;
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'clearAuditLog' });
+    if (result?.success) {
+      showMessage(successMsg, 'Audit log cleared.');
+      await loadAuditLog();
+    } else {
+      showMessage(errorMsg, result?.error || 'Could not clear the audit log');
+    }
+  }
+
+  /**
+   * Render the list of permanently allowed origins
+   */
+  async function renderAllowedOrigins() {
+    const stored = await chrome.storage.local.get(ALLOWED_ORIGINS_KEY);
+    const allowed = stored[ALLOWED_ORIGINS_KEY] || {};
+    const origins = Object.keys(allowed).sort();
+
+    originList.innerHTML = '';
+    originEmpty.style.display = origins.length ? 'none' : 'block';
+
+    for (const origin of origins) {
+      const item = document.createElement('li');
+
+      const label = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'origin';
+      name.textContent = origin;
+      const granted = document.createElement('div');
+      granted.className = 'granted';
+      granted.textContent = `Allowed ${new Date(allowed[origin].grantedAt).toLocaleString()}`;
+      label.append(name, granted);
+
+      const revokeBtn = document.createElement('button');
+      revokeBtn.className = 'btn btn-small';
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.addEventListener('click', () => revokeOrigin(origin));
+
+      item.append(label, revokeBtn);
+      originList.appendChild(item);
+    }
+  }
+
+  /**
+   * Remove a permanent grant
+   */
+  async function revokeOrigin(origin) {
+    const stored = await chrome.storage.local.get(ALLOWED_ORIGINS_KEY);
+    const allowed = stored[ALLOWED_ORIGINS_KEY] || {};
+    delete allowed[origin];
+    await chrome.storage.local.set({ [ALLOWED_ORIGINS_KEY]: allowed });
+  }
+});
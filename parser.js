@@ -0,0 +1,572 @@
+/**
+ * AirNavX Bridge - Data Module Parser
+ * Normalises data module content (S1000D XML, AirNavX-rendered HTML or a
+ * JSON wrapper around either) into the stable model documented in the
+ * README under "Parsed content schema".
+ *
+ * Runs in the background worker, which has no DOMParser, so markup is
+ * read with a small tolerant tokenizer instead. Task codes in running text
+ * are found with TASK_CODE_PATTERN from references.js.
+ */
+
+const PARSED_SCHEMA_VERSION = '1.1';
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'area', 'base', 'wbr', 'source']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const INLINE_ELEMENTS = new Set(['a', 'b', 'i', 'u', 'em', 'strong', 'span', 'sub', 'sup', 'code', 'emphasis', 'subscript', 'superscript']);
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Parse raw content as returned by fetchContent into the normalised model
+ */
+function parseDataModule(raw, { dataModuleId = null } = {}) {
+  const { markup, metadata, format } = unwrapContent(raw);
+  const root = markup ? parseMarkup(markup) : null;
+  const isS1000D = !!(root && findFirst(root, (node) => node.name === 'dmodule' || node.name === 'dmident'));
+
+  const model = {
+    schemaVersion: PARSED_SCHEMA_VERSION,
+    dataModuleId,
+    dmCode: null,
+    title: null,
+    techName: null,
+    infoName: null,
+    issue: { number: null, inWork: null, date: null },
+    language: null,
+    applicability: { text: null, assertions: [] },
+    warnings: [],
+    cautions: [],
+    notes: [],
+    preliminaryRequirements: { conditions: [], personnel: [], safety: [] },
+    tools: [],
+    consumables: [],
+    spares: [],
+    steps: [],
+    closeRequirements: [],
+    references: [],
+    source: { format: isS1000D ? 'xml' : format }
+  };
+
+  if (root) {
+    if (isS1000D) {
+      extractS1000D(root, model);
+    } else {
+      extractHtml(root, model);
+    }
+  }
+
+  applyMetadata(model, metadata);
+  collectTextReferences(model, root ? textOf(root) : (typeof raw === 'string' ? raw : ''));
+
+  return model;
+}
+
+/**
+ * Find the markup inside a response and any metadata the wrapper carries
+ */
+function unwrapContent(raw) {
+  if (typeof raw === 'string') {
+    const looksLikeMarkup = /^\s*</.test(raw);
+    return {
+      markup: looksLikeMarkup ? raw : null,
+      metadata: {},
+      format: looksLikeMarkup ? 'html' : 'text'
+    };
+  }
+
+  if (!raw || typeof raw !== 'object') {
+    return { markup: null, metadata: {}, format: 'json' };
+  }
+
+  // The largest markup-looking string anywhere in the payload
+  let markup = null;
+  const visit = (value, depth) => {
+    if (depth > 6 || value === null) return;
+    if (typeof value === 'string') {
+      if (/^\s*</.test(value) && (!markup || value.length > markup.length)) {
+        markup = value;
+      }
+    } else if (typeof value === 'object') {
+      Object.values(value).forEach((child) => visit(child, depth + 1));
+    }
+  };
+  visit(raw, 0);
+
+  return { markup, metadata: raw, format: 'json' };
+}
+
+/**
+ * Fill gaps from well-known fields of a JSON wrapper
+ */
+function applyMetadata(model, metadata) {
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const value = metadata[key];
+      if (typeof value === 'string' || typeof value === 'number') return String(value);
+    }
+    return null;
+  };
+
+  model.dmCode = model.dmCode || pick('dmCode', 'dmc', 'dataModuleCode', 'dataModuleId');
+  model.title = model.title || pick('title', 'dmTitle', 'techName');
+  model.issue.number = model.issue.number || pick('issueNumber', 'issue', 'revision');
+  model.issue.date = model.issue.date || pick('issueDate', 'revisionDate');
+  model.dataModuleId = model.dataModuleId || model.dmCode;
+}
+
+/**
+ * S1000D procedural data module
+ */
+function extractS1000D(root, model) {
+  const ident = findFirst(root, (node) => node.name === 'dmident') || root;
+  const dmCodeNode = findFirst(ident, (node) => node.name === 'dmcode');
+  if (dmCodeNode) {
+    model.dmCode = formatDmCode(dmCodeNode.attrs);
+  }
+
+  const title = findFirst(root, (node) => node.name === 'dmtitle');
+  if (title) {
+    model.techName = textOf(findFirst(title, (node) => node.name === 'techname')) || null;
+    model.infoName = textOf(findFirst(title, (node) => node.name === 'infoname')) || null;
+    model.title = [model.techName, model.infoName].filter(Boolean).join(' - ') || null;
+  }
+
+  const issueInfo = findFirst(ident, (node) => node.name === 'issueinfo');
+  if (issueInfo) {
+    model.issue.number = issueInfo.attrs.issuenumber || null;
+    model.issue.inWork = issueInfo.attrs.inwork || null;
+  }
+
+  const issueDate = findFirst(root, (node) => node.name === 'issuedate');
+  if (issueDate && issueDate.attrs.year) {
+    const { year, month = '01', day = '01' } = issueDate.attrs;
+    model.issue.date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  const language = findFirst(ident, (node) => node.name === 'language');
+  if (language) {
+    model.language = [language.attrs.languageisocode, language.attrs.countryisocode].filter(Boolean).join('-') || null;
+  }
+
+  const applic = findFirst(root, (node) => node.name === 'applic');
+  if (applic) {
+    model.applicability.text = textOf(findFirst(applic, (node) => node.name === 'displaytext')) || null;
+    model.applicability.assertions = findAll(applic, (node) => node.name === 'assert').map((node) => ({
+      property: node.attrs.applicpropertyident || null,
+      type: node.attrs.applicpropertytype || null,
+      values: node.attrs.applicpropertyvalues || textOf(node) || null
+    }));
+  }
+
+  // Warnings and cautions anywhere in the module, steps included
+  model.warnings = findAll(root, (node) => node.name === 'warning').map(describeAdmonition);
+  model.cautions = findAll(root, (node) => node.name === 'caution').map(describeAdmonition);
+  model.notes = findAll(root, (node) => node.name === 'note').map(describeAdmonition);
+
+  const prelim = findFirst(root, (node) => node.name === 'preliminaryrqmts' || node.name === 'prelimrqmts');
+  if (prelim) {
+    model.preliminaryRequirements.conditions = requirementTexts(prelim, 'reqcondgroup');
+    model.preliminaryRequirements.personnel = findAll(prelim, (node) => node.name === 'person' || node.name === 'personcategory')
+      .map((node) => textOf(node) || node.attrs.personcategorycode || node.attrs.man)
+      .filter(Boolean);
+    const safety = findFirst(prelim, (node) => node.name === 'reqsafety');
+    const safetyItems = findAll(safety, (node) => node.name === 'warning' || node.name === 'caution');
+    model.preliminaryRequirements.safety = (safetyItems.length ? safetyItems : findAll(safety, (node) => node.name === 'safetyrqmts'))
+      .map((node) => textOf(node))
+      .filter(Boolean);
+
+    model.tools = findAll(prelim, (node) => node.name === 'supportequipdescr').map(describeItem);
+    model.consumables = findAll(prelim, (node) => node.name === 'supplydescr').map(describeItem);
+    model.spares = findAll(prelim, (node) => node.name === 'sparedescr').map(describeItem);
+  }
+
+  const mainProcedure = findFirst(root, (node) => node.name === 'mainprocedure');
+  if (mainProcedure) {
+    model.steps = buildSteps(mainProcedure, (node) => node.name === 'proceduralstep', '');
+  }
+
+  const close = findFirst(root, (node) => node.name === 'closerqmts');
+  if (close) {
+    model.closeRequirements = requirementTexts(close, 'reqcondgroup');
+  }
+
+  // Where a reference sits tells access/preparation tasks from close-up tasks
+  const isRef = (node) => node.name === 'dmref' || node.name === 'externalpubref';
+  const inPrelim = new Set(prelim ? findAll(prelim, isRef) : []);
+  const inClose = new Set(close ? findAll(close, isRef) : []);
+  const contextOf = (node) => inPrelim.has(node) ? 'preliminary' : inClose.has(node) ? 'close' : 'procedure';
+
+  model.references = findAll(root, (node) => node.name === 'dmref').map((node) => {
+    const code = findFirst(node, (child) => child.name === 'dmcode');
+    const refTitle = findFirst(node, (child) => child.name === 'dmreftitle' || child.name === 'techname');
+    return {
+      type: 'dm',
+      code: code ? formatDmCode(code.attrs) : textOf(node),
+      title: textOf(refTitle) || null,
+      context: contextOf(node)
+    };
+  }).concat(findAll(root, (node) => node.name === 'externalpubref').map((node) => ({
+    type: 'external',
+    code: textOf(findFirst(node, (child) => child.name === 'externalpubcode')) || textOf(node),
+    title: textOf(findFirst(node, (child) => child.name === 'externalpubtitle')) || null,
+    context: contextOf(node)
+  })));
+}
+
+/**
+ * AirNavX-rendered HTML: the same concepts, found by element and class names
+ */
+function extractHtml(root, model) {
+  const hasClass = (node, pattern) => pattern.test(node.attrs.class || '');
+
+  const heading = findFirst(root, (node) => node.name === 'h1') || findFirst(root, (node) => node.name === 'title');
+  model.title = textOf(heading) || null;
+
+  const dmCodeNode = findFirst(root, (node) => hasClass(node, /\bdm-?code\b/i));
+  if (dmCodeNode) {
+    model.dmCode = textOf(dmCodeNode) || null;
+  }
+
+  const applic = findFirst(root, (node) => hasClass(node, /applic/i));
+  if (applic) {
+    model.applicability.text = textOf(applic) || null;
+  }
+
+  model.warnings = findAll(root, (node) => hasClass(node, /\bwarning\b/i)).map(describeAdmonition);
+  model.cautions = findAll(root, (node) => hasClass(node, /\bcaution\b/i)).map(describeAdmonition);
+  model.notes = findAll(root, (node) => hasClass(node, /\bnote\b/i)).map(describeAdmonition);
+
+  model.tools = findAll(root, (node) => hasClass(node, /support-?equip|\btools?\b/i) && node.name === 'tr').map(describeRow);
+  model.consumables = findAll(root, (node) => hasClass(node, /suppl(y|ies)|consumable/i) && node.name === 'tr').map(describeRow);
+  model.spares = findAll(root, (node) => hasClass(node, /\bspares?\b/i) && node.name === 'tr').map(describeRow);
+
+  const stepContainer = findFirst(root, (node) => hasClass(node, /main-?procedure|procedure/i)) || root;
+  const isStep = (node) => hasClass(node, /\bstep\b|procedural-?step/i);
+  model.steps = buildSteps(stepContainer, isStep, '');
+
+  // Plain ordered lists when no step classes are present
+  if (!model.steps.length) {
+    const list = findFirst(stepContainer, (node) => node.name === 'ol');
+    if (list) {
+      model.steps = buildSteps(list, (node) => node.name === 'li', '');
+    }
+  }
+
+  model.references = findAll(root, (node) => node.name === 'a' && /dm-?ref|dmc/i.test(`${node.attrs.class || ''} ${node.attrs.href || ''}`))
+    .map((node) => ({ type: 'dm', code: node.attrs['data-dmc'] || textOf(node), title: node.attrs.title || null, context: null }));
+}
+
+/**
+ * Build the nested step tree below `container`.
+ * A step's text excludes its sub-steps and its own warnings and cautions.
+ */
+function buildSteps(container, isStep, prefix) {
+  const steps = [];
+
+  const collect = (node) => {
+    for (const child of node.children || []) {
+      if (child.type !== 'element') continue;
+      if (isStep(child)) {
+        steps.push(child);
+      } else {
+        collect(child);
+      }
+    }
+  };
+  collect(container);
+
+  return steps.map((node, index) => {
+    const number = prefix ? `${prefix}.${index + 1}` : String(index + 1);
+    const isAdmonition = (child) => ['warning', 'caution', 'note'].includes(child.name) ||
+      /\b(warning|caution|note)\b/i.test(child.attrs?.class || '');
+
+    return {
+      id: node.attrs.id || null,
+      number,
+      text: textOf(node, (child) => isStep(child) || isAdmonition(child)),
+      warnings: directAdmonitions(node, 'warning', isStep),
+      cautions: directAdmonitions(node, 'caution', isStep),
+      notes: directAdmonitions(node, 'note', isStep),
+      references: findAll(node, (child) => child.name === 'dmref', isStep)
+        .map((child) => {
+          const code = findFirst(child, (inner) => inner.name === 'dmcode');
+          return code ? formatDmCode(code.attrs) : textOf(child);
+        }),
+      steps: buildSteps(node, isStep, number)
+    };
+  });
+}
+
+function directAdmonitions(stepNode, kind, isStep) {
+  const pattern = new RegExp(`\\b${kind}\\b`, 'i');
+  return findAll(stepNode, (node) => node.name === kind || pattern.test(node.attrs.class || ''), isStep)
+    .map(describeAdmonition);
+}
+
+/**
+ * Warnings, cautions or notes of the module that are not inside a step.
+ * `parsed[kind]` lists every one in the module, so a step's own would
+ * otherwise be counted twice by anything that also walks the steps.
+ */
+function moduleAdmonitions(parsed, kind) {
+  const inSteps = new Map();
+  const keyOf = (item) => `${item.id ?? ''}|${item.text}`;
+  const walk = (steps) => steps.forEach((step) => {
+    step[kind].forEach((item) => inSteps.set(keyOf(item), (inSteps.get(keyOf(item)) || 0) + 1));
+    walk(step.steps);
+  });
+  walk(parsed.steps);
+
+  return parsed[kind].filter((item) => {
+    const left = inSteps.get(keyOf(item));
+    if (!left) return true;
+    inSteps.set(keyOf(item), left - 1);
+    return false;
+  });
+}
+
+function describeAdmonition(node) {
+  return { id: node.attrs.id || null, text: textOf(node) };
+}
+
+/**
+ * Tool, supply or spare descriptor (S1000D *Descr elements)
+ */
+function describeItem(node) {
+  const child = (...names) => findFirst(node, (inner) => names.includes(inner.name));
+  const identNumber = child('identnumber');
+  const quantity = child('reqquantity');
+
+  return {
+    name: textOf(child('name', 'shortname')) || null,
+    partNumber: textOf(child('partnumber', 'partnbr')) ||
+      (identNumber ? textOf(findFirst(identNumber, (inner) => inner.name === 'partnumber')) : '') || null,
+    manufacturerCode: textOf(child('manufacturercode')) || null,
+    quantity: quantity ? textOf(quantity) || null : null,
+    unit: quantity ? quantity.attrs.unitofmeasure || null : null
+  };
+}
+
+/**
+ * Table row describing a tool, supply or spare: name, part number, quantity
+ */
+function describeRow(node) {
+  const cells = (node.children || []).filter((child) => child.name === 'td').map((child) => textOf(child));
+  return {
+    name: cells[0] || null,
+    partNumber: cells[1] || null,
+    manufacturerCode: null,
+    quantity: cells[2] || null,
+    unit: null
+  };
+}
+
+function requirementTexts(container, groupName) {
+  const group = findFirst(container, (node) => node.name === groupName);
+  if (!group) return [];
+
+  return (group.children || [])
+    .filter((node) => node.type === 'element')
+    .map((node) => textOf(node))
+    .filter((text) => text && !/^none$/i.test(text));
+}
+
+/**
+ * Task codes mentioned in running text ("refer to AMM 32-11-11-000-801")
+ */
+function collectTextReferences(model, text) {
+  const known = new Set(model.references.map((ref) => ref.code));
+
+  for (const match of text.match(TASK_CODE_PATTERN) || []) {
+    if (!known.has(match) && match !== model.dmCode && match !== model.dataModuleId) {
+      known.add(match);
+      model.references.push({ type: 'task', code: match, title: null, context: null });
+    }
+  }
+}
+
+/**
+ * MIC-SDC-SC-SSCSSSC-ASSY-DISASSYVAR-INFOVAR-ILC
+ */
+function formatDmCode(attrs) {
+  const parts = [
+    attrs.modelidentcode,
+    attrs.systemdiffcode,
+    attrs.systemcode,
+    `${attrs.subsystemcode || ''}${attrs.subsubsystemcode || ''}`,
+    attrs.assycode,
+    `${attrs.disassycode || ''}${attrs.disassycodevariant || ''}`,
+    `${attrs.infocode || ''}${attrs.infocodevariant || ''}`,
+    attrs.itemlocationcode
+  ];
+  return parts.filter(Boolean).join('-') || null;
+}
+
+/**
+ * Minimal tolerant markup tokenizer.
+ * Element names are lower-cased so HTML and S1000D camelCase match alike.
+ */
+function parseMarkup(markup) {
+  const root = { type: 'element', name: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let index = 0;
+
+  const pushText = (text) => {
+    if (text) current().children.push({ type: 'text', text: decodeEntities(text) });
+  };
+
+  while (index < markup.length) {
+    const open = markup.indexOf('<', index);
+    if (open === -1) {
+      pushText(markup.slice(index));
+      break;
+    }
+
+    pushText(markup.slice(index, open));
+
+    if (markup.startsWith('<!--', open)) {
+      const end = markup.indexOf('-->', open + 4);
+      index = end === -1 ? markup.length : end + 3;
+      continue;
+    }
+
+    if (markup.startsWith('<![CDATA[', open)) {
+      const end = markup.indexOf(']]>', open + 9);
+      const stop = end === -1 ? markup.length : end;
+      current().children.push({ type: 'text', text: markup.slice(open + 9, stop) });
+      index = end === -1 ? markup.length : end + 3;
+      continue;
+    }
+
+    const close = markup.indexOf('>', open);
+    if (close === -1) {
+      pushText(markup.slice(open));
+      break;
+    }
+
+    const tag = markup.slice(open + 1, close);
+    index = close + 1;
+
+    // Declarations and processing instructions
+    if (tag.startsWith('!') || tag.startsWith('?')) {
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim().toLowerCase();
+      const depth = stack.map((node) => node.name).lastIndexOf(name);
+      if (depth > 0) {
+        stack.length = depth;
+      }
+      continue;
+    }
+
+    const nameMatch = /^([^\s/>]+)/.exec(tag);
+    if (!nameMatch) {
+      pushText(`<${tag}>`);
+      continue;
+    }
+
+    const name = nameMatch[1].toLowerCase();
+    const node = { type: 'element', name, attrs: parseAttributes(tag.slice(nameMatch[0].length)), children: [] };
+    current().children.push(node);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      // Searched from here on, case-insensitively, without copying the markup
+      const closing = new RegExp(`</${name}`, 'gi');
+      closing.lastIndex = index;
+      const end = closing.exec(markup)?.index ?? -1;
+      index = end === -1 ? markup.length : markup.indexOf('>', end) + 1 || markup.length;
+      continue;
+    }
+
+    if (!tag.endsWith('/') && !VOID_ELEMENTS.has(name)) {
+      stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isDecodableCodePoint(value) ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * A Unicode scalar value; anything else (out of range, lone surrogate) stays
+ * as the literal entity rather than failing the whole module
+ */
+function isDecodableCodePoint(value) {
+  return Number.isInteger(value) && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+}
+
+/**
+ * Tree helpers. `skip` prunes subtrees (e.g. nested steps) from the walk.
+ */
+function findAll(node, predicate, skip = null) {
+  const found = [];
+
+  const walk = (current) => {
+    for (const child of current.children || []) {
+      if (child.type !== 'element') continue;
+      if (skip && skip(child)) continue;
+      if (predicate(child)) found.push(child);
+      walk(child);
+    }
+  };
+  if (node) walk(node);
+
+  return found;
+}
+
+function findFirst(node, predicate) {
+  if (!node) return null;
+
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (predicate(child)) return child;
+    const nested = findFirst(child, predicate);
+    if (nested) return nested;
+  }
+
+  return null;
+}
+
+function textOf(node, skip = null) {
+  if (!node) return '';
+
+  const parts = [];
+  const walk = (current) => {
+    for (const child of current.children || []) {
+      if (child.type === 'text') {
+        parts.push(child.text);
+      } else if (!skip || !skip(child)) {
+        walk(child);
+        // Block boundaries should not glue words together
+        if (!INLINE_ELEMENTS.has(child.name)) parts.push(' ');
+      }
+    }
+  };
+  walk(node);
+
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
@@ -2,6 +2,11 @@
  * AirNavX Bridge - Popup Script
  */
 
+const RECENT_MODULES_KEY = 'recent_modules';
+const FAVOURITE_MODULES_KEY = 'favourite_modules';
+const MAX_RECENT_MODULES = 10;
+const PREVIEW_MAX_REFERENCES = 20;
+
 document.addEventListener('DOMContentLoaded', async () => {
   const detectBtn = document.getElementById('detectBtn');
   const testBtn = document.getElementById('testBtn');
@@ -10,11 +15,58 @@ document.addEventListener('DOMContentLoaded', async () => {
   const connectionInfo = document.getElementById('connectionInfo');
   const hostValue = document.getElementById('hostValue');
   const portValue = document.getElementById('portValue');
+  const versionValue = document.getElementById('versionValue');
+  const queueValue = document.getElementById('queueValue');
+  const requestsValue = document.getElementById('requestsValue');
+  const instanceRow = document.getElementById('instanceRow');
+  const instanceSelect = document.getElementById('instanceSelect');
   const testResults = document.getElementById('testResults');
   const testOutput = document.getElementById('testOutput');
+  const aircraftForm = document.getElementById('aircraftForm');
+  const aircraftClearBtn = document.getElementById('aircraftClearBtn');
+  const aircraftStatus = document.getElementById('aircraftStatus');
+  const aircraftFields = {
+    aircraftType: document.getElementById('aircraftTypeInput'),
+    customization: document.getElementById('customizationInput'),
+    msn: document.getElementById('msnInput'),
+    mods: document.getElementById('modsInput')
+  };
+  const searchSection = document.getElementById('searchSection');
+  const searchForm = document.getElementById('searchForm');
+  const searchInput = document.getElementById('searchInput');
+  const searchFacets = document.getElementById('searchFacets');
+  const ataSelect = document.getElementById('ataSelect');
+  const doctypeSelect = document.getElementById('doctypeSelect');
+  const searchMessage = document.getElementById('searchMessage');
+  const resultList = document.getElementById('resultList');
+  const pager = document.getElementById('pager');
+  const prevBtn = document.getElementById('prevBtn');
+  const nextBtn = document.getElementById('nextBtn');
+  const pageLabel = document.getElementById('pageLabel');
+  const savedModules = document.getElementById('savedModules');
+  const favouriteList = document.getElementById('favouriteList');
+  const recentList = document.getElementById('recentList');
+  const preview = document.getElementById('preview');
+  const previewBackBtn = document.getElementById('previewBackBtn');
+  const favouriteBtn = document.getElementById('favouriteBtn');
+  const previewTitle = document.getElementById('previewTitle');
+  const previewMeta = document.getElementById('previewMeta');
+  const previewApplicability = document.getElementById('previewApplicability');
+  const previewRevision = document.getElementById('previewRevision');
+  const previewBody = document.getElementById('previewBody');
   
-  // Check status on load
-  await checkStatus();
+  // Facet selects and the AirNavX aggregation each one lists
+  const facetSelects = [
+    { select: ataSelect, filter: 'ata', aggregation: 'ata2' },
+    { select: doctypeSelect, filter: 'doctype', aggregation: 'doctypebc' }
+  ];
+  const searchState = { query: '', page: 1, pageSize: null };
+  let previewModule = null; // { dataModuleId, title, revision }
+  let aircraftContext = null;
+  let latestRevisions = {}; // dataModuleId -> newest revision the bridge knows of
+  
+  // Keep the queue figures live while the popup is open
+  setInterval(refreshQueue, 2000);
   
   // Detect button
   detectBtn.addEventListener('click', async () => {
@@ -22,7 +74,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     detectBtn.innerHTML = '<div class="loading"></div> Detecting...';
     
     try {
-      const result = await sendMessage({ action: 'detect', forceRefresh: true });
+      // Rescan every instance, then re-resolve the default against the new list
+      await sendMessage({ action: 'listInstances', forceRefresh: true });
+      await sendMessage({ action: 'detect', forceRefresh: true });
       await checkStatus();
     } catch (error) {
       console.error('Detection error:', error);
@@ -32,6 +86,62 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  // Default instance picker
+  instanceSelect.addEventListener('change', async () => {
+    instanceSelect.disabled = true;
+    
+    try {
+      const result = await sendMessage({ action: 'setDefaultInstance', instanceId: instanceSelect.value });
+      if (!result.success) {
+        console.error('Default instance error:', result.error);
+      }
+      await checkStatus();
+    } finally {
+      instanceSelect.disabled = false;
+    }
+  });
+  
+  // Aircraft context
+  aircraftForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await saveAircraftContext({
+      aircraftType: aircraftFields.aircraftType.value,
+      customization: aircraftFields.customization.value,
+      msn: aircraftFields.msn.value,
+      mods: aircraftFields.mods.value
+    });
+  });
+  
+  aircraftClearBtn.addEventListener('click', () => saveAircraftContext(null));
+  
+  // Search
+  searchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    
+    // A bare task code typed loosely ('32 11 11 400 001') is searched as AirNavX writes it
+    const text = searchInput.value.trim();
+    const reference = normalizeTaskReference(text);
+    searchState.query = reference && reference.matched.length === text.length ? reference.code : text;
+    searchInput.value = searchState.query;
+    facetSelects.forEach(({ select }) => { select.value = ''; });
+    runSearch(1);
+  });
+  
+  facetSelects.forEach(({ select }) => select.addEventListener('change', () => runSearch(1)));
+  prevBtn.addEventListener('click', () => runSearch(searchState.page - 1));
+  nextBtn.addEventListener('click', () => runSearch(searchState.page + 1));
+  
+  // Quick view
+  previewBackBtn.addEventListener('click', closePreview);
+  favouriteBtn.addEventListener('click', toggleFavourite);
+  
+  // Favourites and recents may change in another window
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes[RECENT_MODULES_KEY] || changes[FAVOURITE_MODULES_KEY])) {
+      renderSavedModules();
+    }
+  });
+  
   // Test button
   testBtn.addEventListener('click', async () => {
     testBtn.disabled = true;
@@ -61,6 +171,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
   
+  // Check status on load
+  await checkStatus();
+  await loadAircraftContext();
+  await renderSavedModules();
+  searchInput.focus();
+  checkFavouriteRevisions();
+  
+  // Opened from the "Open in AirNavX Bridge" context menu. Started once the
+  // controls are wired up, so they work while a slow lookup is running
+  const lookup = new URLSearchParams(location.search).get('lookup');
+  if (lookup) {
+    lookupSelection(lookup).catch((error) => console.error('Lookup error:', error));
+  }
+  
   /**
    * Check current status
    */
@@ -76,6 +200,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         hostValue.textContent = result.status.host;
         portValue.textContent = result.status.port;
+        versionValue.textContent = result.status.version || 'unknown';
+        renderQueue(result.status.queue);
+        renderInstances(result.status.instances, result.status.instance);
         
         connectionInfo.style.display = 'block';
         testBtn.disabled = false;
@@ -96,6 +223,531 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
   
+  async function refreshQueue() {
+    if (connectionInfo.style.display === 'none') return;
+    
+    const result = await sendMessage({ action: 'getStatus' });
+    if (result?.success) {
+      renderQueue(result.status.queue);
+    }
+  }
+  
+  /**
+   * Summarise the request scheduler: load now, and what it has absorbed
+   */
+  function renderQueue(queue) {
+    if (!queue) return;
+    
+    const queued = Object.values(queue.queued).reduce((total, count) => total + count, 0);
+    queueValue.textContent = `${queue.active}/${queue.limit} active, ${queued} queued`;
+    queueValue.title = `Interactive: ${queue.queued.interactive}, normal: ${queue.queued.normal}, ` +
+      `background: ${queue.queued.background}, retry pending: ${queue.waitingRetry}, peak: ${queue.peakQueued}`;
+    
+    requestsValue.textContent = `${queue.completed} ok, ${queue.failed} failed, ${queue.retried} retried, ${queue.coalesced} shared`;
+    requestsValue.title = `Cancelled: ${queue.cancelled}`;
+  }
+  
+  async function loadAircraftContext() {
+    const result = await sendMessage({ action: 'getAircraftContext' });
+    if (result?.success) {
+      renderAircraftContext(result.context);
+    }
+  }
+  
+  async function saveAircraftContext(context) {
+    const result = await sendMessage({ action: 'setAircraftContext', context });
+    
+    if (result?.success) {
+      renderAircraftContext(result.context);
+    } else {
+      aircraftStatus.className = 'aircraft-status error';
+      aircraftStatus.textContent = result?.error || 'Could not set the aircraft';
+    }
+  }
+  
+  function renderAircraftContext(context) {
+    aircraftContext = context;
+    aircraftFields.aircraftType.value = context?.aircraftType || '';
+    aircraftFields.customization.value = context?.customization || '';
+    aircraftFields.msn.value = context?.msn || '';
+    aircraftFields.mods.value = context?.mods.join(', ') || '';
+    
+    aircraftStatus.className = 'aircraft-status';
+    aircraftStatus.textContent = context
+      ? `Results are checked against ${[
+        context.aircraftType,
+        context.customization,
+        context.msn ? `MSN ${context.msn}` : null,
+        context.mods.length ? `${context.mods.length} mods` : null
+      ].filter(Boolean).join(', ')}.`
+      : 'No aircraft set; results are not checked for applicability.';
+  }
+  
+  /**
+   * Search for the code found in a selection and preview the best match;
+   * a selection without a code is searched as keywords
+   */
+  async function lookupSelection(selection) {
+    const reference = normalizeTaskReference(selection);
+    
+    searchState.query = reference?.code || selection.trim();
+    searchInput.value = searchState.query;
+    
+    const result = await runSearch(1);
+    if (!result || !reference) {
+      return;
+    }
+    
+    const best = bestReferenceMatch(result.results, reference.code);
+    if (best) {
+      await openPreview(searchResultModuleId(best), searchResultTitle(best));
+    }
+  }
+  
+  /**
+   * Run the current query; facets are taken from the selects.
+   * Resolves with the search result, or null
+   */
+  async function runSearch(page) {
+    if (!searchState.query) {
+      resultList.innerHTML = '';
+      searchFacets.style.display = 'none';
+      pager.style.display = 'none';
+      searchMessage.textContent = '';
+      savedModules.style.display = 'block';
+      return null;
+    }
+    
+    const filters = {};
+    facetSelects.forEach(({ select, filter }) => {
+      if (select.value) {
+        filters[filter] = select.value;
+      }
+    });
+    
+    searchMessage.className = 'search-message';
+    searchMessage.textContent = 'Searching...';
+    
+    const result = await sendMessage({
+      action: 'search',
+      query: searchState.query,
+      page,
+      filters,
+      aggregations: page === 1
+    });
+    
+    if (!result?.success) {
+      searchMessage.className = 'search-message error';
+      searchMessage.textContent = result?.error || 'Search failed';
+      return null;
+    }
+    
+    // Page size is only known from a full first page
+    const fetched = result.results.length + (result.filteredOut || 0);
+    if (page === 1) {
+      searchState.pageSize = fetched;
+      renderFacets(result.aggregations);
+    }
+    searchState.page = page;
+    
+    savedModules.style.display = 'none';
+    renderModuleList(resultList, result.results.map((item) => ({
+      dataModuleId: searchResultModuleId(item),
+      title: searchResultTitle(item),
+      applies: result.aircraftContext ? item.applicabilityCheck?.applies ?? null : undefined,
+      snippet: item.snippet,
+      highlights: item.highlights
+    })), 'No results');
+    
+    searchMessage.textContent = result.source === 'local'
+      ? `AirNavX is offline: ${result.total} matches in modules opened before`
+      : [
+        result.total !== null ? `${result.total} results` : null,
+        result.fromCache ? 'from the offline cache' : null
+      ].filter(Boolean).join(', ');
+    
+    const hasNext = result.total !== null
+      ? page * searchState.pageSize < result.total
+      : fetched > 0 && fetched >= searchState.pageSize;
+    pager.style.display = page > 1 || hasNext ? 'flex' : 'none';
+    prevBtn.disabled = page <= 1;
+    nextBtn.disabled = !hasNext;
+    pageLabel.textContent = `Page ${page}`;
+    
+    return result;
+  }
+  
+  /**
+   * Offer the buckets of the first page as facet choices, keeping the
+   * current selection
+   */
+  function renderFacets(aggregations) {
+    let shown = false;
+    
+    for (const { select, aggregation } of facetSelects) {
+      const selected = select.value;
+      const buckets = aggregations?.[aggregation] || [];
+      
+      select.length = 1; // keep the "All" option
+      for (const bucket of buckets) {
+        select.add(new Option(`${bucket.key} (${bucket.count})`, bucket.key));
+      }
+      if (selected && !buckets.some((bucket) => bucket.key === selected)) {
+        select.add(new Option(selected, selected));
+      }
+      select.value = selected;
+      
+      shown = shown || buckets.length > 0 || !!selected;
+    }
+    
+    searchFacets.style.display = shown ? 'flex' : 'none';
+  }
+  
+  /**
+   * List modules; `applies` (true, false or null) adds an applicability badge
+   */
+  function renderModuleList(list, modules, emptyText) {
+    list.innerHTML = '';
+    
+    if (!modules.length) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = emptyText;
+      list.appendChild(empty);
+      return;
+    }
+    
+    for (const module of modules) {
+      const item = document.createElement('li');
+      
+      if (module.applies !== undefined) {
+        const badge = document.createElement('span');
+        badge.className = `applies-badge ${module.applies === true ? 'yes' : module.applies === false ? 'no' : 'unknown'}`;
+        badge.textContent = module.applies === true ? '✓' : module.applies === false ? '✗' : '?';
+        badge.title = module.applies === true ? 'Applies to this aircraft'
+          : module.applies === false ? 'Does not apply to this aircraft' : 'Applicability could not be checked';
+        item.appendChild(badge);
+        item.classList.toggle('not-applicable', module.applies === false);
+      }
+      
+      const label = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'module-title';
+      title.textContent = module.title || module.dataModuleId;
+      if (module.revised) {
+        const badge = document.createElement('span');
+        badge.className = 'revised-badge';
+        badge.textContent = 'Revised';
+        badge.title = `Revised since last viewed (revision ${module.revision} → ${latestRevisions[module.dataModuleId]})`;
+        title.appendChild(badge);
+      }
+      const code = document.createElement('div');
+      code.className = 'module-code';
+      code.textContent = module.dataModuleId;
+      label.append(title, code);
+      if (module.snippet) {
+        label.appendChild(renderSnippet(module.snippet, module.highlights || []));
+      }
+      
+      item.appendChild(label);
+      item.addEventListener('click', () => openPreview(module.dataModuleId, module.title));
+      list.appendChild(item);
+    }
+  }
+  
+  /**
+   * Snippet text with the matched words marked; built from text nodes, as
+   * the text comes from module content
+   */
+  function renderSnippet(snippet, highlights) {
+    const element = document.createElement('div');
+    element.className = 'module-snippet';
+    let offset = 0;
+    
+    for (const [start, end] of highlights) {
+      if (start < offset) continue;
+      element.append(snippet.slice(offset, start));
+      const mark = document.createElement('mark');
+      mark.textContent = snippet.slice(start, end);
+      element.appendChild(mark);
+      offset = end;
+    }
+    element.append(snippet.slice(offset));
+    
+    return element;
+  }
+  
+  /**
+   * Show a module's parsed content in place of the search panel
+   */
+  async function openPreview(dataModuleId, title) {
+    previewModule = { dataModuleId, title, revision: null };
+    searchSection.style.display = 'none';
+    preview.style.display = 'block';
+    
+    previewTitle.textContent = title || dataModuleId;
+    previewMeta.textContent = dataModuleId;
+    previewApplicability.style.display = 'none';
+    previewRevision.style.display = 'none';
+    previewBody.textContent = 'Loading...';
+    await renderFavouriteButton();
+    
+    const result = await sendMessage({ action: 'fetchContent', dataModuleId, parse: true });
+    if (previewModule?.dataModuleId !== dataModuleId) {
+      return; // closed or replaced while loading
+    }
+    
+    if (!result?.success) {
+      previewBody.textContent = `❌ ${result?.error || 'Could not load the module'}`;
+      return;
+    }
+    
+    const parsed = result.parsed;
+    previewModule.title = parsed?.title || title || dataModuleId;
+    previewModule.revision = result.revision || null;
+    
+    previewTitle.textContent = previewModule.title;
+    previewMeta.textContent = [
+      parsed?.dmCode || dataModuleId,
+      parsed?.issue?.number ? `issue ${parsed.issue.number}` : null,
+      parsed?.issue?.date,
+      result.fromCache ? 'offline copy' : null
+    ].filter(Boolean).join(' · ');
+    
+    renderApplicability(result.applicabilityCheck);
+    
+    previewBody.innerHTML = '';
+    if (parsed) {
+      renderParsed(parsed);
+    } else {
+      const raw = document.createElement('div');
+      raw.className = 'raw';
+      raw.textContent = `Content could not be read: ${result.parseError?.message || 'unknown format'}`;
+      previewBody.appendChild(raw);
+    }
+    
+    await addRecentModule(previewModule);
+    await markFavouriteViewed(previewModule);
+  }
+  
+  function closePreview() {
+    previewModule = null;
+    preview.style.display = 'none';
+    searchSection.style.display = 'block';
+  }
+  
+  function renderApplicability(check) {
+    // Without an aircraft context there is nothing to say
+    if (!check || !aircraftContext) {
+      previewApplicability.style.display = 'none';
+      return;
+    }
+    
+    previewApplicability.className = `preview-applicability${check.applies === false ? ' no' : ''}`;
+    previewApplicability.textContent = check.applies === true ? `✓ Applies to this aircraft${check.text ? ` (${check.text})` : ''}`
+      : check.applies === false ? `✗ ${check.reason}${check.text ? ` (${check.text})` : ''}`
+      : `? ${check.reason}${check.text ? `: ${check.text}` : ''}`;
+    previewApplicability.style.display = 'block';
+  }
+  
+  /**
+   * Warnings and cautions first, then what is needed, then the steps
+   */
+  function renderParsed(parsed) {
+    const section = (heading) => {
+      const title = document.createElement('h4');
+      title.textContent = heading;
+      previewBody.appendChild(title);
+    };
+    const list = (tag, items, text) => {
+      const element = document.createElement(tag);
+      items.forEach((entry) => {
+        const item = document.createElement('li');
+        item.textContent = text(entry);
+        element.appendChild(item);
+      });
+      previewBody.appendChild(element);
+      return element;
+    };
+    
+    for (const [kind, admonitions] of [['warning', parsed.warnings], ['caution', parsed.cautions]]) {
+      admonitions.forEach((admonition) => {
+        const box = document.createElement('div');
+        box.className = kind;
+        box.textContent = `${kind === 'warning' ? 'WARNING' : 'CAUTION'}: ${admonition.text}`;
+        previewBody.appendChild(box);
+      });
+    }
+    
+    const describe = (item) => [item.name, item.partNumber ? `(${item.partNumber})` : null,
+      item.quantity ? `× ${item.quantity}${item.unit ? ` ${item.unit}` : ''}` : null].filter(Boolean).join(' ');
+    
+    if (parsed.tools.length) {
+      section('Tools');
+      list('ul', parsed.tools, describe);
+    }
+    if (parsed.consumables.length) {
+      section('Consumables');
+      list('ul', parsed.consumables, describe);
+    }
+    if (parsed.spares.length) {
+      section('Spares');
+      list('ul', parsed.spares, describe);
+    }
+    
+    if (parsed.steps.length) {
+      section('Procedure');
+      const renderSteps = (steps, parent) => {
+        const element = document.createElement('ol');
+        steps.forEach((step) => {
+          const item = document.createElement('li');
+          item.textContent = step.text;
+          if (step.steps.length) {
+            renderSteps(step.steps, item);
+          }
+          element.appendChild(item);
+        });
+        parent.appendChild(element);
+      };
+      renderSteps(parsed.steps, previewBody);
+    }
+    
+    if (parsed.references.length) {
+      section(`References (${parsed.references.length})`);
+      list('ul', parsed.references.slice(0, PREVIEW_MAX_REFERENCES), (ref) => ref.title ? `${ref.code} - ${ref.title}` : ref.code);
+    }
+    
+    if (!previewBody.childElementCount) {
+      previewBody.textContent = 'This module has no procedure to preview.';
+    }
+  }
+  
+  /**
+   * Recents and favourites
+   */
+  async function getSavedModules() {
+    const stored = await chrome.storage.local.get([RECENT_MODULES_KEY, FAVOURITE_MODULES_KEY]);
+    return {
+      recent: stored[RECENT_MODULES_KEY] || [],
+      favourites: stored[FAVOURITE_MODULES_KEY] || []
+    };
+  }
+  
+  async function renderSavedModules() {
+    const { recent, favourites } = await getSavedModules();
+    const flagged = favourites.map((module) => ({
+      ...module,
+      revised: isRevision(module.revision) && isRevision(latestRevisions[module.dataModuleId]) &&
+        latestRevisions[module.dataModuleId] !== module.revision
+    }));
+    renderModuleList(favouriteList, flagged, 'Star a module to keep it here');
+    renderModuleList(recentList, recent, 'Modules you open appear here');
+  }
+  
+  async function addRecentModule({ dataModuleId, title, revision }) {
+    const { recent } = await getSavedModules();
+    const updated = [
+      { dataModuleId, title, revision, viewedAt: Date.now() },
+      ...recent.filter((module) => module.dataModuleId !== dataModuleId)
+    ].slice(0, MAX_RECENT_MODULES);
+    
+    await chrome.storage.local.set({ [RECENT_MODULES_KEY]: updated });
+  }
+  
+  async function toggleFavourite() {
+    if (!previewModule) return;
+    
+    const { favourites } = await getSavedModules();
+    const { dataModuleId, title, revision } = previewModule;
+    const isFavourite = favourites.some((module) => module.dataModuleId === dataModuleId);
+    
+    await chrome.storage.local.set({
+      [FAVOURITE_MODULES_KEY]: isFavourite
+        ? favourites.filter((module) => module.dataModuleId !== dataModuleId)
+        : [...favourites, { dataModuleId, title, revision, addedAt: Date.now() }]
+    });
+    await renderFavouriteButton();
+  }
+  
+  function isRevision(revision) {
+    return !!revision && revision !== 'unknown';
+  }
+  
+  /**
+   * Ask the bridge for the newest revision of each favourite. Cached
+   * revisions answer at once; stale ones are refreshed for next time.
+   */
+  async function checkFavouriteRevisions() {
+    const { favourites } = await getSavedModules();
+    if (!favourites.length) return;
+    
+    const result = await sendMessage({
+      action: 'checkRevisions',
+      dataModuleIds: favourites.map((module) => module.dataModuleId)
+    });
+    if (result?.success) {
+      latestRevisions = { ...latestRevisions, ...result.revisions };
+      await renderSavedModules();
+    }
+  }
+  
+  /**
+   * A favourite opened in the quick view counts as viewed at the revision
+   * shown. If that is newer than the last one viewed, say what changed.
+   */
+  async function markFavouriteViewed({ dataModuleId, revision }) {
+    const { favourites } = await getSavedModules();
+    const favourite = favourites.find((module) => module.dataModuleId === dataModuleId);
+    if (!favourite || !isRevision(revision)) return;
+    
+    latestRevisions[dataModuleId] = revision;
+    if (favourite.revision === revision) return;
+    
+    await chrome.storage.local.set({
+      [FAVOURITE_MODULES_KEY]: favourites.map((module) => module.dataModuleId === dataModuleId
+        ? { ...module, revision, viewedAt: Date.now() }
+        : module)
+    });
+    
+    if (!isRevision(favourite.revision)) return;
+    
+    previewRevision.textContent = `Revised since you last viewed revision ${favourite.revision}`;
+    previewRevision.style.display = 'block';
+    
+    const diff = await sendMessage({ action: 'diffContent', dataModuleId, against: favourite.revision });
+    if (previewModule?.dataModuleId === dataModuleId && diff?.success) {
+      previewRevision.textContent = `Revised since you last viewed revision ${favourite.revision}: ${describeDiffSummary(diff.summary)}`;
+    }
+  }
+  
+  async function renderFavouriteButton() {
+    const { favourites } = await getSavedModules();
+    const isFavourite = favourites.some((module) => module.dataModuleId === previewModule?.dataModuleId);
+    favouriteBtn.textContent = isFavourite ? '★' : '☆';
+    favouriteBtn.title = isFavourite ? 'Remove from favourites' : 'Add to favourites';
+  }
+  
+  /**
+   * Fill the default-instance picker; hidden while only one instance runs
+   */
+  function renderInstances(instances, defaultId) {
+    instanceSelect.innerHTML = '';
+    
+    for (const instance of instances) {
+      const option = document.createElement('option');
+      option.value = instance.id;
+      option.textContent = [
+        instance.library || 'AirNavX',
+        instance.version ? `v${instance.version}` : null,
+        `(${instance.id})`
+      ].filter(Boolean).join(' ');
+      option.selected = instance.id === defaultId;
+      instanceSelect.appendChild(option);
+    }
+    
+    instanceRow.style.display = instances.length > 1 ? 'flex' : 'none';
+  }
+  
   /**
    * Send message to background script
    */
@@ -0,0 +1,87 @@
+/**
+ * AirNavX Bridge - Task References
+ * Recognises AMM task and S1000D data module codes in free text, such as a
+ * selection in a work order or a line in a defect report. Loaded by the
+ * background worker, the popup and the content scripts (auto-linking).
+ */
+
+// Canonical task codes as they appear in AirNavX content
+const TASK_CODE_PATTERN = /\b\d{2}-\d{2}-\d{2}-\d{3}-\d{3}(?:-[A-Z0-9]{1,4})?\b/g;
+
+// Task codes as people type them: '32 11 11 400 001 A', '32.11.11.400.001', '321111400001'
+const LOOSE_TASK_CODE_PATTERN = /\b(\d{2})[\s.-]?(\d{2})[\s.-]?(\d{2})[\s.-]?(\d{3})[\s.-]?(\d{3})(?:[\s-]?([A-Z]\d{0,3}|\d{1,3}[A-Z]?)\b)?/;
+
+// Data module codes, with or without the 'DMC-' prefix: 'A320-A-32-11-11-00A-720A-A'
+const DM_CODE_PATTERN = /\b(?:DMC-)?([A-Z0-9]{2,14}-[A-Z0-9]{1,4}-[A-Z0-9]{2,3}-[A-Z0-9]{2}-[A-Z0-9]{2,4}-[A-Z0-9]{3,5}-[A-Z0-9]{4}-[A-Z])\b/;
+
+// Codes as written in running text; only the dashed forms, so that other
+// numbers on a page are not mistaken for tasks
+const REFERENCE_SCAN_PATTERN = new RegExp(`${DM_CODE_PATTERN.source}|${TASK_CODE_PATTERN.source}`, 'g');
+
+/**
+ * Find the first task or data module code in `text` and write it the way
+ * AirNavX does. Returns { type: 'task'|'dm', code, matched } or null;
+ * `matched` is the span the code was found in, to tell a bare code from
+ * a code inside a sentence.
+ */
+function normalizeTaskReference(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  // Non-breaking spaces and typographic dashes come with copied text
+  const cleaned = text.replace(/\u00a0/g, ' ').replace(/[\u2010-\u2015]/g, '-').toUpperCase();
+
+  const dm = cleaned.match(DM_CODE_PATTERN);
+  if (dm) {
+    return { type: 'dm', code: dm[1], matched: dm[0].trim() };
+  }
+
+  const task = cleaned.match(LOOSE_TASK_CODE_PATTERN);
+  if (task) {
+    const [matched, ...parts] = task;
+    return { type: 'task', code: parts.filter(Boolean).join('-'), matched: matched.trim() };
+  }
+
+  return null;
+}
+
+/**
+ * Every dashed task or data module code in `text`:
+ * [{ index, length, type, code }], in order
+ */
+function findTaskReferences(text) {
+  const found = [];
+
+  for (const match of text.matchAll(REFERENCE_SCAN_PATTERN)) {
+    const reference = normalizeTaskReference(match[0]);
+    if (reference) {
+      found.push({ index: match.index, length: match[0].length, type: reference.type, code: reference.code });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * AirNavX builds name a search result's module and title differently
+ */
+function searchResultModuleId(item) {
+  return item?.dataModuleId || item?.dmCode || item?.dmc || item?.id || '';
+}
+
+function searchResultTitle(item) {
+  return item?.title || [item?.techName, item?.infoName].filter(Boolean).join(' - ') || null;
+}
+
+/**
+ * The search result whose module code is `code`, else one containing it,
+ * else the first (AirNavX ranks by relevance)
+ */
+function bestReferenceMatch(results, code) {
+  const idOf = (item) => String(searchResultModuleId(item)).toUpperCase().replace(/^DMC-/, '');
+  return results.find((item) => idOf(item) === code)
+    || results.find((item) => idOf(item).includes(code))
+    || results[0]
+    || null;
+}
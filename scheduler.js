@@ -0,0 +1,290 @@
+/**
+ * AirNavX Bridge - Request Scheduler
+ * Every HTTP request to AirNavX from the background worker goes through one
+ * queue, so several busy tabs cannot flood the single local AirNavX process.
+ *
+ * - a global cap on requests in flight (settings.maxConcurrentRequests)
+ * - priority lanes: interactive calls go ahead of background work
+ * - identical requests in flight are coalesced into one
+ * - transient failures are retried with exponential backoff
+ *
+ * Detection probes bypass the queue; they are short and spread over ports.
+ */
+
+const REQUEST_PRIORITIES = ['interactive', 'normal', 'background'];
+const RETRY_BASE_DELAY = 500; // ms, doubled for each retry
+const RETRY_MAX_DELAY = 8000;
+
+const schedulerLanes = new Map(REQUEST_PRIORITIES.map((priority) => [priority, []]));
+const coalescedRequests = new Map(); // key -> entry
+let activeRequests = 0;
+let retriesWaiting = 0;
+
+const schedulerStats = {
+  completed: 0,
+  failed: 0,
+  retried: 0,
+  coalesced: 0,
+  cancelled: 0,
+  peakQueued: 0
+};
+
+/**
+ * Queue task(signal) and resolve with its result.
+ *
+ * @param {function(AbortSignal): Promise} task - one attempt; must honour the signal
+ * @param {object} [options]
+ * @param {string|null} [options.key] - requests with the same key share one run
+ * @param {string} [options.priority] - 'interactive', 'normal' or 'background'
+ * @param {AbortSignal} [options.signal] - the caller's cancellation
+ * @param {number} [options.retries] - retries for transient failures
+ */
+function scheduleRequest(task, { key = null, priority = 'normal', signal = null, retries = getSettings().maxRetries } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(cancellationError(signal));
+  }
+
+  if (!schedulerLanes.has(priority)) {
+    priority = 'normal';
+  }
+
+  let entry = key ? coalescedRequests.get(key) : null;
+
+  if (entry) {
+    schedulerStats.coalesced++;
+    promoteEntry(entry, priority);
+  } else {
+    entry = createEntry(task, key, priority, retries);
+    if (key) {
+      coalescedRequests.set(key, entry);
+    }
+    enqueueEntry(entry);
+    pumpQueue();
+  }
+
+  return subscribe(entry, signal);
+}
+
+function createEntry(task, key, priority, retries) {
+  const entry = {
+    task,
+    key,
+    priority,
+    retries,
+    attempt: 0,
+    state: 'queued', // queued | running | waiting (for a retry) | done
+    controller: new AbortController(),
+    subscribers: 0,
+    retryTimer: null
+  };
+
+  entry.promise = new Promise((resolve, reject) => {
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+
+  return entry;
+}
+
+function enqueueEntry(entry) {
+  entry.state = 'queued';
+  schedulerLanes.get(entry.priority).push(entry);
+
+  const queued = queuedCount();
+  if (queued > schedulerStats.peakQueued) {
+    schedulerStats.peakQueued = queued;
+  }
+}
+
+function removeQueued(entry) {
+  const lane = schedulerLanes.get(entry.priority);
+  const index = lane.indexOf(entry);
+  if (index !== -1) {
+    lane.splice(index, 1);
+  }
+}
+
+/**
+ * A more urgent caller joining a queued request moves it to the faster lane
+ */
+function promoteEntry(entry, priority) {
+  if (REQUEST_PRIORITIES.indexOf(priority) >= REQUEST_PRIORITIES.indexOf(entry.priority)) {
+    return;
+  }
+
+  if (entry.state === 'queued') {
+    removeQueued(entry);
+    entry.priority = priority;
+    enqueueEntry(entry);
+  } else {
+    entry.priority = priority;
+  }
+}
+
+/**
+ * Each caller can cancel on its own; the shared request is only aborted
+ * once every caller waiting on it has gone
+ */
+function subscribe(entry, signal) {
+  entry.subscribers++;
+
+  if (!signal) {
+    return entry.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(cancellationError(signal));
+      entry.subscribers--;
+      if (entry.subscribers === 0) {
+        cancelEntry(entry, signal.reason);
+      }
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function cancelEntry(entry, reason) {
+  if (entry.state === 'done') {
+    return;
+  }
+
+  schedulerStats.cancelled++;
+
+  // A running attempt only settles once it notices the abort; a new caller
+  // asking for the same thing meanwhile must get a run of its own
+  if (entry.key && coalescedRequests.get(entry.key) === entry) {
+    coalescedRequests.delete(entry.key);
+  }
+
+  if (entry.state === 'queued') {
+    removeQueued(entry);
+  } else if (entry.state === 'waiting') {
+    clearTimeout(entry.retryTimer);
+    retriesWaiting--;
+  }
+
+  // A running attempt sees the abort and settles through runEntry
+  entry.controller.abort(reason);
+  if (entry.state !== 'running') {
+    settleEntry(entry, cancellationError(entry.controller.signal));
+  }
+}
+
+function pumpQueue() {
+  while (activeRequests < getSettings().maxConcurrentRequests) {
+    const entry = nextQueued();
+    if (!entry) {
+      return;
+    }
+    runEntry(entry);
+  }
+}
+
+function nextQueued() {
+  for (const priority of REQUEST_PRIORITIES) {
+    const lane = schedulerLanes.get(priority);
+    if (lane.length) {
+      return lane.shift();
+    }
+  }
+  return null;
+}
+
+async function runEntry(entry) {
+  activeRequests++;
+  entry.state = 'running';
+  entry.attempt++;
+
+  try {
+    const result = await entry.task(entry.controller.signal);
+    schedulerStats.completed++;
+    settleEntry(entry, null, result);
+
+  } catch (error) {
+    const aborted = entry.controller.signal.aborted;
+
+    if (!aborted && entry.attempt <= entry.retries && isTransientFailure(error)) {
+      scheduleRetry(entry, error);
+    } else {
+      if (!aborted) {
+        schedulerStats.failed++;
+      }
+      settleEntry(entry, error);
+    }
+
+  } finally {
+    activeRequests--;
+    pumpQueue();
+  }
+}
+
+/**
+ * Timeouts, unreachable servers, 429 and 5xx answers may pass; 4xx will not
+ */
+function isTransientFailure(error) {
+  return error instanceof BridgeError && error.retryable && error.code !== ERROR_CODES.NOT_DETECTED;
+}
+
+/**
+ * Wait out the backoff without holding a slot, then queue up again
+ */
+function scheduleRetry(entry, error) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (entry.attempt - 1), RETRY_MAX_DELAY);
+  const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+
+  schedulerStats.retried++;
+  retriesWaiting++;
+  entry.state = 'waiting';
+
+  logger.debug(`🔁 Retry ${entry.attempt}/${entry.retries} in ${jittered} ms: ${error.message}`);
+
+  entry.retryTimer = setTimeout(() => {
+    retriesWaiting--;
+    enqueueEntry(entry);
+    pumpQueue();
+  }, jittered);
+}
+
+function settleEntry(entry, error, result) {
+  if (entry.state === 'done') {
+    return;
+  }
+
+  entry.state = 'done';
+  if (entry.key && coalescedRequests.get(entry.key) === entry) {
+    coalescedRequests.delete(entry.key);
+  }
+
+  if (error) {
+    entry.reject(error);
+  } else {
+    entry.resolve(result);
+  }
+}
+
+function queuedCount() {
+  let count = 0;
+  schedulerLanes.forEach((lane) => { count += lane.length; });
+  return count;
+}
+
+/**
+ * Snapshot of the queue for the popup and getStatus()
+ */
+function getSchedulerStats() {
+  const queued = {};
+  schedulerLanes.forEach((lane, priority) => { queued[priority] = lane.length; });
+
+  return {
+    active: activeRequests,
+    limit: getSettings().maxConcurrentRequests,
+    queued,
+    waitingRetry: retriesWaiting,
+    ...schedulerStats
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * AirNavX Bridge - Shared Settings
+ * Loaded by the background worker, the content script and the options page.
+ * Settings live in chrome.storage.sync and are re-read whenever they change.
+ */
+
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+  hosts: ['127.0.0.1', 'localhost'],
+  candidatePorts: [59720, 51798, 54320, 52000, 51800, 50000, 53000],
+  detectionTimeout: 2000, // ms per port
+  cacheDuration: 5 * 60 * 1000, // ms a detection result is reused
+  requestTimeout: 30000, // ms before a page call gives up
+  healthCheckInterval: 60 * 1000, // ms between background re-detections (30 s minimum)
+  maxConcurrentRequests: 4, // requests to AirNavX in flight at once, across all tabs
+  maxRetries: 2, // retries for timeouts, unreachable server, 429 and 5xx
+  pinnedEndpoint: '', // 'host:port' - skips port scanning when set
+  searchAggregations: ['ata2', 'actype', 'customization', 'doctypebc'],
+  logLevel: 'info',
+  cacheFreshFor: 10 * 60 * 1000, // ms before a cached entry is refreshed in the background
+  cacheMaxAge: 30 * 24 * 60 * 60 * 1000, // ms before an unpinned entry is dropped
+  cacheMaxEntries: 1000,
+  cacheMaxBytes: 100 * 1024 * 1024,
+  autolinkOrigins: [], // sites where task references in the page become links
+  auditMaxAge: 365 * 24 * 60 * 60 * 1000, // ms an audit log entry is kept
+  auditMaxEntries: 10000
+};
+
+const AUDIT_MAX_ENTRIES_LIMIT = 20000; // the options page loads the whole log to filter it
+
+const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+const settingsListeners = [];
+
+/**
+ * Merge stored values over the defaults, dropping anything malformed
+ */
+function normalizeSettings(raw = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  const stringList = (value) => Array.isArray(value)
+    ? value.map((item) => String(item).trim()).filter(Boolean)
+    : null;
+  const positiveInt = (value) => Number.isInteger(value) && value > 0 ? value : null;
+
+  const hosts = stringList(raw.hosts);
+  if (hosts && hosts.length) settings.hosts = hosts;
+
+  if (Array.isArray(raw.candidatePorts)) {
+    const ports = raw.candidatePorts.filter((port) => Number.isInteger(port) && port > 0 && port < 65536);
+    if (ports.length) settings.candidatePorts = ports;
+  }
+
+  settings.detectionTimeout = positiveInt(raw.detectionTimeout) || settings.detectionTimeout;
+  settings.cacheDuration = positiveInt(raw.cacheDuration) || settings.cacheDuration;
+  settings.requestTimeout = positiveInt(raw.requestTimeout) || settings.requestTimeout;
+  // chrome.alarms will not fire more often than every 30 seconds
+  const healthCheckInterval = positiveInt(raw.healthCheckInterval);
+  if (healthCheckInterval) settings.healthCheckInterval = Math.max(healthCheckInterval, 30000);
+  settings.maxConcurrentRequests = positiveInt(raw.maxConcurrentRequests) || settings.maxConcurrentRequests;
+  if (Number.isInteger(raw.maxRetries) && raw.maxRetries >= 0) settings.maxRetries = Math.min(raw.maxRetries, 5);
+  settings.cacheFreshFor = positiveInt(raw.cacheFreshFor) || settings.cacheFreshFor;
+  settings.cacheMaxAge = positiveInt(raw.cacheMaxAge) || settings.cacheMaxAge;
+  settings.cacheMaxEntries = positiveInt(raw.cacheMaxEntries) || settings.cacheMaxEntries;
+  settings.cacheMaxBytes = positiveInt(raw.cacheMaxBytes) || settings.cacheMaxBytes;
+  settings.auditMaxAge = positiveInt(raw.auditMaxAge) || settings.auditMaxAge;
+  const auditMaxEntries = positiveInt(raw.auditMaxEntries);
+  if (auditMaxEntries) settings.auditMaxEntries = Math.min(auditMaxEntries, AUDIT_MAX_ENTRIES_LIMIT);
+
+  if (typeof raw.pinnedEndpoint === 'string' && parseEndpoint(raw.pinnedEndpoint)) {
+    settings.pinnedEndpoint = raw.pinnedEndpoint.trim();
+  }
+
+  const aggregations = stringList(raw.searchAggregations);
+  if (aggregations) settings.searchAggregations = aggregations;
+
+  if (raw.logLevel in LOG_LEVELS) settings.logLevel = raw.logLevel;
+
+  const autolinkOrigins = stringList(raw.autolinkOrigins);
+  if (autolinkOrigins) settings.autolinkOrigins = [...new Set(autolinkOrigins.map(parseOrigin).filter(Boolean))];
+
+  return settings;
+}
+
+/**
+ * Parse 'host:port' into { host, port }, or null if invalid
+ */
+function parseEndpoint(value) {
+  const match = /^\s*([A-Za-z0-9.-]+):(\d{1,5})\s*$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const port = parseInt(match[2], 10);
+  return port > 0 && port < 65536 ? { host: match[1], port } : null;
+}
+
+/**
+ * Canonical 'scheme://host[:port]' for an http(s) origin, or null
+ */
+function parseOrigin(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getSettings() {
+  return currentSettings;
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+  currentSettings = normalizeSettings(stored[SETTINGS_KEY]);
+  return currentSettings;
+}
+
+async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Register a callback for live settings changes: callback(settings, previous)
+ */
+function onSettingsChanged(callback) {
+  settingsListeners.push(callback);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !changes[SETTINGS_KEY]) {
+    return;
+  }
+
+  const previous = currentSettings;
+  currentSettings = normalizeSettings(changes[SETTINGS_KEY].newValue);
+  settingsListeners.forEach((callback) => callback(currentSettings, previous));
+});
+
+const settingsReady = loadSettings();
+
+/**
+ * Console logger honouring the configured verbosity
+ */
+const logger = {
+  error: (...args) => logAt('error', args),
+  warn: (...args) => logAt('warn', args),
+  info: (...args) => logAt('info', args),
+  debug: (...args) => logAt('debug', args)
+};
+
+function logAt(level, args) {
+  if (LOG_LEVELS[level] > LOG_LEVELS[currentSettings.logLevel]) {
+    return;
+  }
+
+  const method = level === 'debug' || level === 'info' ? 'log' : level;
+  console[method](...args);
+}
@@ -0,0 +1,24 @@
+/**
+ * Revision diff tests. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { parseDataModule, diffParsedModules } = loadScripts(['references.js', 'parser.js', 'diff.js'])(['parseDataModule', 'diffParsedModules']);
+
+const procedure = (stepContent) => parseDataModule(`<dmodule><dmIdent><dmCode modelIdentCode="A320"/></dmIdent><content><procedure>
+  <preliminaryRqmts><reqSafety><safetyRqmts><warning><warningAndCautionPara>Chock the wheels</warningAndCautionPara></warning></safetyRqmts></reqSafety></preliminaryRqmts>
+  <mainProcedure><proceduralStep id="stp-001">${stepContent}<para>Remove the wheel</para></proceduralStep></mainProcedure>
+  </procedure></content></dmodule>`);
+
+test('one warning added to one step counts once', () => {
+  const diff = diffParsedModules(procedure(''),
+    procedure('<warning><warningAndCautionPara>Brakes are hot</warningAndCautionPara></warning>'));
+
+  assert.strictEqual(diff.summary.warningsAdded, 1);
+  // Compared as JSON: arrays built in the scripts' context are not this context's arrays
+  assert.strictEqual(JSON.stringify(diff.warnings.added), JSON.stringify([{ text: 'Brakes are hot', step: '1' }]));
+  assert.strictEqual(JSON.stringify(diff.steps.changed.map((change) => change.fields)), '[["warnings"]]');
+});
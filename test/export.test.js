@@ -0,0 +1,35 @@
+/**
+ * Task card export tests. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { parseDataModule, buildTaskCardCsv, buildTaskCardJson, buildTaskCardHtml } = loadScripts(['references.js', 'parser.js', 'export.js'])(
+  ['parseDataModule', 'buildTaskCardCsv', 'buildTaskCardJson', 'buildTaskCardHtml']);
+
+const parsed = parseDataModule(`<dmodule><identAndStatusSection><dmAddress><dmIdent><dmCode modelIdentCode="A320"/></dmIdent>
+  <dmAddressItems><dmTitle><techName>Wheel</techName><infoName>Removal</infoName></dmTitle></dmAddressItems></dmAddress></identAndStatusSection>
+  <content><procedure><preliminaryRqmts><reqSafety><safetyRqmts><warning><warningAndCautionPara>Chock the wheels</warningAndCautionPara></warning></safetyRqmts></reqSafety></preliminaryRqmts>
+  <mainProcedure><proceduralStep><warning><warningAndCautionPara>Brakes are hot</warningAndCautionPara></warning><para>Remove the wheel</para></proceduralStep></mainProcedure>
+  </procedure></content></dmodule>`, { dataModuleId: 'DM1' });
+const entries = [{ dataModuleId: 'DM1', parsed }];
+const occurrences = (text, needle) => text.split(needle).length - 1;
+
+test('a step warning is exported once, with its step', () => {
+  const csv = buildTaskCardCsv(entries);
+  assert.strictEqual(occurrences(csv, 'Brakes are hot'), 1);
+  assert.match(csv, /,warning,Brakes are hot,,,,,1\r\n/);
+  assert.match(csv, /,warning,Chock the wheels,,,,,\r\n/);
+
+  const { admonitions } = JSON.parse(buildTaskCardJson(entries, { generatedAt: 0 })).modules[0];
+  assert.deepStrictEqual(admonitions, [
+    { type: 'warning', step: null, text: 'Chock the wheels' },
+    { type: 'warning', step: '1', text: 'Brakes are hot' }
+  ]);
+
+  const html = buildTaskCardHtml(entries, { title: 'Card', generatedAt: 0 });
+  assert.strictEqual(occurrences(html, 'Brakes are hot'), 1);
+  assert.match(html, /<td class="step-text"><div class="warning"><strong>WARNING<\/strong>Brakes are hot<\/div>Remove the wheel/);
+});
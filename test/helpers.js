@@ -0,0 +1,18 @@
+/**
+ * The extension's scripts are classic scripts sharing one global scope, so
+ * tests load them into a context of their own, in the order the extension does.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ ...globals });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  return (names) => vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,30 @@
+/**
+ * Parser tests. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { parseDataModule, decodeEntities } = loadScripts(['references.js', 'parser.js'])(['parseDataModule', 'decodeEntities']);
+
+test('decodeEntities decodes named and numeric entities', () => {
+  assert.strictEqual(decodeEntities('&lt;a&gt; &amp; &#65;&#x42; &#x1F6E9;'), '<a> & AB \u{1F6E9}');
+});
+
+test('decodeEntities leaves numeric entities outside Unicode as written', () => {
+  assert.strictEqual(decodeEntities('&#99999999;'), '&#99999999;');
+  assert.strictEqual(decodeEntities('&#x110000;'), '&#x110000;');
+  assert.strictEqual(decodeEntities('&#xD800;&#55296;'), '&#xD800;&#55296;');
+});
+
+test('an out-of-range entity does not fail the module', () => {
+  const parsed = parseDataModule('<html><body><h1>Wheel &#99999999; removal</h1></body></html>');
+  assert.strictEqual(parsed.title, 'Wheel &#99999999; removal');
+});
+
+test('script and style content is skipped up to the closing tag, in any case', () => {
+  const parsed = parseDataModule('<html><body><h1>Brake<SCRIPT>var t = "<h1>x</h1>";</Script> check' +
+    '<style>h1 { color: red }</STYLE></h1></body></html>');
+  assert.strictEqual(parsed.title, 'Brake check');
+});
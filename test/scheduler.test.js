@@ -0,0 +1,35 @@
+/**
+ * Request scheduler tests. Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { scheduleRequest } = loadScripts(['errors.js', 'scheduler.js'], {
+  AbortController,
+  setTimeout,
+  clearTimeout,
+  getSettings: () => ({ maxConcurrentRequests: 4, maxRetries: 0 }),
+  logger: { debug() {} }
+})(['scheduleRequest']);
+
+test('a request cancelled while running is not shared with the next identical one', async () => {
+  let runs = 0;
+  // Settles a little after its signal aborts, as a fetch does
+  const task = (signal) => new Promise((resolve, reject) => {
+    runs++;
+    const run = runs;
+    signal.addEventListener('abort', () => setTimeout(() => reject(new Error('aborted')), 10));
+    setTimeout(() => resolve(`result ${run}`), 20);
+  });
+
+  const controller = new AbortController();
+  const first = scheduleRequest(task, { key: 'GET /search?q=wheel', signal: controller.signal });
+  controller.abort();
+  const second = scheduleRequest(task, { key: 'GET /search?q=wheel' });
+
+  await assert.rejects(first, (error) => error.code === 'ABORTED');
+  assert.strictEqual(await second, 'result 2');
+  assert.strictEqual(runs, 2);
+});